@@ -0,0 +1,464 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Import modules.
+const CfgRaw = require("./raw");
+
+//  Imported functions.
+const IsPlainObject = CfgRaw.IsPlainObject;
+
+//
+//  Constants.
+//
+
+//  JSON Schema dialect.
+const JSON_SCHEMA_DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+//  Name of the secret file reference definition.
+const FILE_REFERENCE_DEFINITION = "file-reference";
+
+//  Keywords that are copied to the JSON Schema as is.
+const JSON_SCHEMA_KEYWORDS = [
+    "minimum",
+    "exclusiveMinimum",
+    "maximum",
+    "minLength",
+    "minItems"
+];
+
+//  Template values of the item types (given to unset items, so that texts 
+//  are coerced to the described type).
+const TEMPLATE_VALUES = {
+    "boolean": false,
+    "integer": 0,
+    "number": 0
+};
+
+//
+//  Private functions.
+//
+
+/**
+ *  Build a selection object (value => value) of an enumeration.
+ * 
+ *  @param {String[]} values - The values.
+ *  @return {Object<String, String>} - The selection object.
+ */
+function BuildEnumSelection(values) {
+    let rst = {};
+    values.forEach(function(value) {
+        rst[value] = value;
+    });
+    return rst;
+}
+
+/**
+ *  Load a value by its item description.
+ * 
+ *  @throws {Error}
+ *      - Raised if the value doesn't conform the description (the traverse
+ *        error).
+ *  @param {Traverse} node
+ *      - The traverse object of the value.
+ *  @param {Object} item
+ *      - The item description.
+ *  @param {Object} siblings
+ *      - The loaded values of the items before this item (in the same
+ *        section).
+ *  @return {*}
+ *      - The value.
+ */
+function LoadDescribedValue(node, item, siblings) {
+    //  Check the nullability.
+    if (!item["nullable"]) {
+        node.notNull();
+    }
+    if (node.isNull()) {
+        return null;
+    }
+
+    //  Check the type (a boolean shorthand is expanded by the section
+    //  loader).
+    if (
+        ("shorthand" in item) &&
+        typeof(node.inner()) == "boolean"
+    ) {
+        return node.inner();
+    }
+    switch (item["type"]) {
+    case "boolean":
+        node.boolean();
+        break;
+    case "integer":
+        node.integer();
+        break;
+    case "number":
+        node.numeric();
+        break;
+    case "string":
+        node.string();
+        break;
+    case "array":
+        node.typeOf(Array);
+        break;
+    case "object":
+        node.typeOf(Object);
+        break;
+    case "function":
+        node.typeOf(Function);
+        break;
+    default:
+        throw new Error("Unsupported item type \"" + item["type"] + "\".");
+    }
+
+    //  Check the selections.
+    if ("select" in item) {
+        return node.selectFromObject(item["select"]).inner();
+    }
+    if ("enum" in item) {
+        return node.selectFromObject(
+            BuildEnumSelection(item["enum"])
+        ).inner();
+    }
+
+    //  Check the range.
+    if ("minimum" in item) {
+        node.min(item["minimum"]);
+    }
+    if ("exclusiveMinimum" in item) {
+        node.minExclusive(item["exclusiveMinimum"]);
+    }
+    if ("maximum" in item) {
+        node.max(item["maximum"]);
+    }
+    if ("minimumItem" in item) {
+        node.min(siblings[item["minimumItem"]]);
+    }
+    if ("minLength" in item) {
+        node.customRule(function(value) {
+            return value.length >= item["minLength"];
+        });
+    }
+    if ("rule" in item) {
+        node.customRule(item["rule"]);
+    }
+
+    //  Load the array items and the object entries.
+    if (item["type"] == "array") {
+        if ("minItems" in item) {
+            node.arrayMinLength(item["minItems"]);
+        }
+        if ("items" in item) {
+            let rst = [];
+            node.arrayForEach(function(sub) {
+                rst.push(LoadDescribedValue(sub, item["items"], {}));
+            });
+            return rst;
+        }
+    }
+    if (item["type"] == "object" && ("additionalProperties" in item)) {
+        let rst = {};
+        node.objectForEachEx(function(sub, key) {
+            rst[key] = LoadDescribedValue(
+                sub,
+                item["additionalProperties"],
+                {}
+            );
+        });
+        return rst;
+    }
+
+    return node.inner();
+}
+
+/**
+ *  Build the JSON Schema of an item description.
+ * 
+ *  @param {Object} item
+ *      - The item description.
+ *  @param {*} defaults
+ *      - The default value (undefined if none).
+ *  @param {Boolean} strict
+ *      - True if unknown keys are rejected.
+ *  @param {Boolean} referable
+ *      - True if the item can be given as a secret file reference.
+ *  @return {Object}
+ *      - The JSON Schema.
+ */
+function BuildItemSchema(item, defaults, strict, referable) {
+    let rst = {};
+    if ("description" in item) {
+        rst["description"] = item["description"];
+    }
+
+    //  Items given by code can only be null in files.
+    if (item["runtime"]) {
+        rst["type"] = "null";
+        rst["default"] = null;
+        return rst;
+    }
+
+    //  Build the type constraints.
+    let value = {};
+    let types = [item["type"]];
+    if ("shorthand" in item) {
+        types.push("boolean");
+    }
+    if (item["nullable"]) {
+        types.push("null");
+    }
+    value["type"] = (types.length == 1 ? types[0] : types);
+    let selections = null;
+    if ("select" in item) {
+        selections = Object.keys(item["select"]);
+    } else if ("enum" in item) {
+        selections = item["enum"].slice();
+    }
+    if (selections !== null) {
+        if (item["nullable"]) {
+            selections.push(null);
+        }
+        value["enum"] = selections;
+    }
+    JSON_SCHEMA_KEYWORDS.forEach(function(keyword) {
+        if (keyword in item) {
+            value[keyword] = item[keyword];
+        }
+    });
+    if ("semantic" in item) {
+        Object.assign(value, item["semantic"]);
+    }
+    if ("items" in item) {
+        value["items"] = BuildItemSchema(
+            item["items"],
+            undefined,
+            strict,
+            false
+        );
+    }
+    if ("additionalProperties" in item) {
+        value["additionalProperties"] = BuildItemSchema(
+            item["additionalProperties"],
+            undefined,
+            strict,
+            false
+        );
+    }
+
+    //  Build the section items.
+    if ("properties" in item) {
+        value["properties"] = {};
+        let required = [];
+        for (let key in item["properties"]) {
+            let sub = item["properties"][key];
+            value["properties"][key] = BuildItemSchema(
+                sub,
+                (
+                    IsPlainObject(defaults) && (key in defaults) ?
+                    defaults[key] :
+                    undefined
+                ),
+                strict,
+                true
+            );
+            if (sub["required"]) {
+                required.push(key);
+            }
+        }
+        if (required.length != 0) {
+            value["required"] = required;
+        }
+        if (strict) {
+            value["additionalProperties"] = false;
+        }
+        Object.assign(rst, value);
+        if (defaults === null) {
+            rst["default"] = null;
+        }
+        return rst;
+    }
+
+    //  Section items can also be given as secret file references.
+    if (referable) {
+        rst["anyOf"] = [
+            value,
+            {
+                "$ref": "#/$defs/" + FILE_REFERENCE_DEFINITION
+            }
+        ];
+    } else {
+        Object.assign(rst, value);
+    }
+    if (defaults !== undefined && !item["derived"]) {
+        rst["default"] = defaults;
+    }
+    return rst;
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  Load the items of a raw configuration section by their descriptions.
+ * 
+ *  Note(s):
+ *    [1] An item description is an object with following keys:
+ *          - "type": One of "boolean", "integer", "number", "string",
+ *            "array", "object" and "function".
+ *          - "description": The description.
+ *          - "nullable": True if the item can be null.
+ *          - "required": True if the item has no default value.
+ *          - "runtime": True if the item can only be given by code (like
+ *            a function), so that it can only be null in files.
+ *          - "shorthand": The item that a boolean is a shorthand of (for
+ *            sections).
+ *          - "enum": The allowed values.
+ *          - "select": The allowed values (as keys) and the loaded values
+ *            (as values).
+ *          - "minimum", "exclusiveMinimum", "maximum", "minLength" and
+ *            "minItems": Like the JSON Schema keywords.
+ *          - "semantic": The range ({"minimum", "maximum"}) checked by the
+ *            semantic validation, only given in the JSON Schema (the loader
+ *            leaves it to the semantic validation, which collects all
+ *            problems).
+ *          - "derived": True if the default value is derived from other
+ *            items (like the default port of the dialect), so that the JSON
+ *            Schema gives no default.
+ *          - "minimumItem": The item (of the same section, described
+ *            before this item) whose value is the minimum.
+ *          - "rule": A function that returns true if the value is valid.
+ *          - "items": The description of array items.
+ *          - "additionalProperties": The description of object entries.
+ *          - "properties": The descriptions of section items.
+ *    [2] Sections (items with "properties") are only type-checked, the
+ *        section loader loads their items. A missing section is loaded as
+ *        {} (or null if nullable).
+ *    [3] If no default value is given, all items are required (used to
+ *        load the default configuration).
+ * 
+ *  @throws {Error}
+ *      - Raised if any item doesn't conform its description (the traverse
+ *        error).
+ *  @param {Traverse} root
+ *      - The traverse object of the section.
+ *  @param {Object} section
+ *      - The section description.
+ *  @param {?Object} defaults
+ *      - The default values of items (NULL if no default value).
+ *  @return {Object}
+ *      - The loaded values (item key => value).
+ */
+function LoadDescribedItems(root, section, defaults) {
+    let rst = {};
+    for (let key in section["properties"]) {
+        let item = section["properties"][key];
+        let node;
+        if (defaults === null || item["required"]) {
+            node = root.sub(key);
+        } else if ("properties" in item) {
+            node = root.optionalSub(key, item["nullable"] ? null : {});
+        } else {
+            node = root.optionalSub(key, defaults[key]);
+        }
+        rst[key] = LoadDescribedValue(node, item, rst);
+    }
+    return rst;
+}
+
+/**
+ *  Build the template of a configuration description for coercing texts 
+ *  (of connection URIs, environment variables and secret files).
+ * 
+ *  Note(s):
+ *    [1] The template is a copy of the default values, except that unset 
+ *        (NULL) boolean and number items get a value of their type.
+ * 
+ *  @param {Object} section
+ *      - The section description.
+ *  @param {Object} defaults
+ *      - The default values of items.
+ *  @return {Object}
+ *      - The template.
+ */
+function BuildDescribedTemplate(section, defaults) {
+    let rst = {};
+    for (let key in defaults) {
+        let value = defaults[key];
+        let item = section["properties"][key];
+        if (typeof(item) == "undefined") {
+            rst[key] = value;
+        } else if (IsPlainObject(value) && ("properties" in item)) {
+            rst[key] = BuildDescribedTemplate(item, value);
+        } else if (value === null && (item["type"] in TEMPLATE_VALUES)) {
+            rst[key] = TEMPLATE_VALUES[item["type"]];
+        } else {
+            rst[key] = value;
+        }
+    }
+    return rst;
+}
+
+/**
+ *  Build the JSON Schema (draft 2020-12) of a configuration description.
+ * 
+ *  Note(s):
+ *    [1] Every section item that is not a section itself can also be
+ *        given as a secret file reference (like {"file": "/run/secrets/db"}).
+ *    [2] Constraints that JSON Schema can't express (like "rule" and
+ *        "minimumItem") are left to the loaders (and should be mentioned in
+ *        the item description).
+ * 
+ *  @param {Object} description
+ *      - The configuration description.
+ *  @param {Object} defaults
+ *      - The default raw configuration.
+ *  @param {String} title
+ *      - The title of the schema.
+ *  @param {Boolean} [strict]
+ *      - True if unknown keys are rejected.
+ *  @return {Object}
+ *      - The JSON Schema.
+ */
+function BuildDescribedJSONSchema(
+    description,
+    defaults,
+    title,
+    strict = false
+) {
+    let rst = {
+        "$schema": JSON_SCHEMA_DIALECT,
+        "title": title
+    };
+    Object.assign(rst, BuildItemSchema(description, defaults, strict, false));
+    rst["$defs"] = {};
+    rst["$defs"][FILE_REFERENCE_DEFINITION] = {
+        "description": "Read the value from a file (one trailing line " +
+                       "break is removed).",
+        "type": "object",
+        "properties": {
+            "file": {
+                "description": "The file path.",
+                "type": "string",
+                "minLength": 1
+            }
+        },
+        "required": ["file"],
+        "additionalProperties": false
+    };
+    return rst;
+}
+
+//  Export public APIs.
+module.exports = {
+    "BuildDescribedJSONSchema": BuildDescribedJSONSchema,
+    "BuildDescribedTemplate": BuildDescribedTemplate,
+    "LoadDescribedItems": LoadDescribedItems
+};
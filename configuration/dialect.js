@@ -0,0 +1,372 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Import modules.
+const CfgError = require("./error");
+const Util = require("util");
+
+//  Imported classes.
+const ModelConfigurationError = CfgError.ModelConfigurationError;
+
+//
+//  Constants.
+//
+
+/**
+ *  Dialect profiles.
+ * 
+ *  Each profile has:
+ *    - storage (Boolean): True if the database is stored in a local file
+ *      (the "storage" item is used instead of "host" and "port").
+ *    - driver (String): The driver package.
+ *    - port (?Number): The default port (NULL if not a network database).
+ *    - required (String[]): The items that must not be NULL or empty (the
+ *      host of network dialects is always required).
+ *    - ssl (Boolean): True if SSL/TLS is supported.
+ *    - dialect-options (String[]): The supported "dialect-options" items.
+ *    - transaction (Object): The supported transaction features:
+ *        - type (Boolean): True if the transaction type can be set.
+ *        - deferrable (Boolean): True if deferrable constraints are supported.
+ *        - lock-timeout (Boolean): True if lock timeout is supported.
+ */
+const DIALECT_PROFILES = {
+    "mysql": {
+        "storage": false,
+        "driver": "mysql2",
+        "port": 3306,
+        "required": [],
+        "ssl": true,
+        "dialect-options": [
+            "connect-timeout",
+            "charset",
+            "support-big-numbers",
+            "big-number-strings",
+            "decimal-numbers",
+            "multiple-statements"
+        ],
+        "transaction": {
+            "type": false,
+            "deferrable": false,
+            "lock-timeout": true
+        }
+    },
+    "mariadb": {
+        "storage": false,
+        "driver": "mariadb",
+        "port": 3306,
+        "required": [],
+        "ssl": true,
+        "dialect-options": [
+            "connect-timeout",
+            "charset",
+            "support-big-numbers",
+            "big-number-strings",
+            "multiple-statements"
+        ],
+        "transaction": {
+            "type": false,
+            "deferrable": false,
+            "lock-timeout": true
+        }
+    },
+    "postgres": {
+        "storage": false,
+        "driver": "pg",
+        "port": 5432,
+        "required": ["database"],
+        "ssl": true,
+        "dialect-options": [],
+        "transaction": {
+            "type": false,
+            "deferrable": true,
+            "lock-timeout": true
+        }
+    },
+    "mssql": {
+        "storage": false,
+        "driver": "tedious",
+        "port": 1433,
+        "required": ["database"],
+        "ssl": true,
+        "dialect-options": [
+            "connect-timeout"
+        ],
+        "transaction": {
+            "type": false,
+            "deferrable": false,
+            "lock-timeout": true
+        }
+    },
+    "sqlite": {
+        "storage": true,
+        "driver": "sqlite3",
+        "port": null,
+        "required": ["storage"],
+        "ssl": false,
+        "dialect-options": [],
+        "transaction": {
+            "type": true,
+            "deferrable": false,
+            "lock-timeout": false
+        }
+    }
+};
+
+//  Storage of in-memory SQLite databases.
+const SQLITE_MEMORY_STORAGE = ":memory:";
+
+//
+//  Public functions.
+//
+
+/**
+ *  Get the names of all supported dialects.
+ * 
+ *  @return {String[]} - The names.
+ */
+function GetDialectNames() {
+    return Object.keys(DIALECT_PROFILES);
+}
+
+/**
+ *  Get the profile of a dialect.
+ * 
+ *  @throws {ModelConfigurationError}
+ *      - Raised if the dialect is not supported.
+ *  @param {String} dialect
+ *      - The dialect.
+ *  @return {{
+ *      storage: Boolean,
+ *      driver: String,
+ *      port: ?Number,
+ *      required: String[],
+ *      ssl: Boolean,
+ *      "dialect-options": String[],
+ *      transaction: Object
+ *  }}
+ *      - The profile.
+ */
+function GetDialectProfile(dialect) {
+    if (!Object.prototype.hasOwnProperty.call(DIALECT_PROFILES, dialect)) {
+        throw new ModelConfigurationError(
+            Util.format(
+                "Unsupported dialect \"%s\". (supported = %s)",
+                dialect,
+                JSON.stringify(GetDialectNames())
+            ),
+            "dialect"
+        );
+    }
+    return DIALECT_PROFILES[dialect];
+}
+
+/**
+ *  Validate the dialect-specific items of a configuration.
+ * 
+ *  Note(s):
+ *    [1] Only items given explicitly are checked, the defaults always pass.
+ *    [2] The host of network dialects is checked by the semantic validation
+ *        (see ValidateModelConfiguration()).
+ *    [3] All problems are collected (none is raised).
+ * 
+ *  @throws {ModelConfigurationError}
+ *      - Raised if the dialect is not supported.
+ *  @param {String} dialect
+ *      - The dialect.
+ *  @param {Object} values
+ *      - The loaded top-level items (like "database", "storage").
+ *  @param {Object} dialectOptions
+ *      - The raw "dialect-options" section.
+ *  @param {Boolean} sslEnabled
+ *      - True if SSL/TLS is enabled.
+ *  @param {Boolean} replicationEnabled
+ *      - True if replication is enabled.
+ *  @param {ModelTransactionConfiguration} transactionCfg
+ *      - The transaction configuration.
+ *  @return {Array<{path: String, message: String}>}
+ *      - The problems (empty if valid).
+ */
+function ValidateDialectConfiguration(
+    dialect,
+    values,
+    dialectOptions,
+    sslEnabled,
+    replicationEnabled,
+    transactionCfg
+) {
+    let profile = GetDialectProfile(dialect);
+    let problems = [];
+
+    /**
+     *  Add a problem.
+     * 
+     *  @param {String} path - The path of the item.
+     *  @param {String} message - The message.
+     */
+    function _Report(path, message) {
+        problems.push({
+            "path": path,
+            "message": message
+        });
+    }
+
+    //  Check the required items.
+    profile["required"].forEach(function(name) {
+        let value = values[name];
+        if (value === null || value === "") {
+            _Report(name, Util.format(
+                "Item \"%s\" is required by dialect \"%s\".",
+                name,
+                dialect
+            ));
+        }
+    });
+
+    //  Check the storage.
+    if (!profile["storage"] && values["storage"] !== null) {
+        _Report("storage", Util.format(
+            "Item \"storage\" is not supported by dialect \"%s\".",
+            dialect
+        ));
+    }
+
+    //  Check the dialect options.
+    for (let name in dialectOptions) {
+        if (profile["dialect-options"].indexOf(name) < 0) {
+            _Report("dialect-options." + name, Util.format(
+                "Dialect option \"%s\" is not supported by dialect \"%s\".",
+                name,
+                dialect
+            ));
+        }
+    }
+
+    //  Check the SSL/TLS.
+    if (sslEnabled && !profile["ssl"]) {
+        _Report("ssl.enabled", Util.format(
+            "SSL/TLS is not supported by dialect \"%s\".",
+            dialect
+        ));
+    }
+
+    //  Check the replication.
+    if (replicationEnabled && profile["storage"]) {
+        _Report("replication", Util.format(
+            "Replication is not supported by dialect \"%s\".",
+            dialect
+        ));
+    }
+
+    //  Check the transaction.
+    let transaction = profile["transaction"];
+    if (transactionCfg.getType() !== null && !transaction["type"]) {
+        _Report("transaction.type", Util.format(
+            "Transaction type (\"%s\") is not supported by dialect \"%s\".",
+            transactionCfg.getType(),
+            dialect
+        ));
+    }
+    if (transactionCfg.getDeferrable() !== null && !transaction["deferrable"]) {
+        _Report("transaction.deferrable", Util.format(
+            "Deferrable constraints are not supported by dialect \"%s\".",
+            dialect
+        ));
+    }
+    if (transactionCfg.getLockTimeout() != 0 && !transaction["lock-timeout"]) {
+        _Report("transaction.lock-timeout", Util.format(
+            "Lock timeout is not supported by dialect \"%s\".",
+            dialect
+        ));
+    }
+
+    return problems;
+}
+
+/**
+ *  Build the Sequelize "dialectOptions" option of a dialect (with the 
+ *  dialect options that are set only).
+ * 
+ *  @param {String} dialect
+ *      - The dialect.
+ *  @param {ModelDialectOptionsConfiguration} dialectOptionsCfg
+ *      - The dialect options configuration.
+ *  @param {?Object} ssl
+ *      - The SSL/TLS options (NULL if disabled).
+ *  @return {Object}
+ *      - The option.
+ */
+function BuildDialectOptions(dialect, dialectOptionsCfg, ssl) {
+    let rst;
+    switch (dialect) {
+    case "mysql":
+        rst = dialectOptionsCfg.toObject();
+        if (ssl !== null) {
+            rst["ssl"] = ssl;
+        }
+        break;
+    case "mariadb":
+        rst = {
+            "connectTimeout": dialectOptionsCfg.getConnectTimeout(),
+            "collation": dialectOptionsCfg.getCharset(),
+            "supportBigNumbers": dialectOptionsCfg.getSupportBigNumbers(),
+            "bigNumberStrings": dialectOptionsCfg.getBigNumberStrings(),
+            "multipleStatements": dialectOptionsCfg.getMultipleStatements()
+        };
+        for (let name in rst) {
+            if (rst[name] === null) {
+                delete rst[name];
+            }
+        }
+        if (ssl !== null) {
+            rst["ssl"] = ssl;
+        }
+        break;
+    case "postgres":
+        rst = {};
+        if (ssl !== null) {
+            rst["ssl"] = ssl;
+        }
+        break;
+    case "mssql":
+        rst = {
+            "options": {}
+        };
+        if (dialectOptionsCfg.getConnectTimeout() !== null) {
+            rst["options"]["connectTimeout"] = (
+                dialectOptionsCfg.getConnectTimeout()
+            );
+        }
+        if (ssl !== null) {
+            rst["options"]["encrypt"] = true;
+            rst["options"]["trustServerCertificate"] = (
+                !ssl["rejectUnauthorized"]
+            );
+            let details = Object.assign({}, ssl);
+            delete details["rejectUnauthorized"];
+            if (Object.keys(details).length != 0) {
+                rst["options"]["cryptoCredentialsDetails"] = details;
+            }
+        }
+        break;
+    default:
+        rst = {};
+        break;
+    }
+    return rst;
+}
+
+//  Export public APIs.
+module.exports = {
+    "SQLITE_MEMORY_STORAGE": SQLITE_MEMORY_STORAGE,
+    "BuildDialectOptions": BuildDialectOptions,
+    "GetDialectNames": GetDialectNames,
+    "GetDialectProfile": GetDialectProfile,
+    "ValidateDialectConfiguration": ValidateDialectConfiguration
+};
@@ -0,0 +1,169 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Import modules.
+const CfgError = require("./error");
+const CfgRaw = require("./raw");
+const Util = require("util");
+
+//  Imported classes.
+const ModelConfigurationError = CfgError.ModelConfigurationError;
+
+//  Imported functions.
+const CoerceRawValue = CfgRaw.CoerceRawValue;
+const IsPlainObject = CfgRaw.IsPlainObject;
+const IsSwitchableSection = CfgRaw.IsSwitchableSection;
+const MergeRawConfiguration = CfgRaw.MergeRawConfiguration;
+
+//
+//  Constants.
+//
+
+//  Default environment variable prefix.
+const DEFAULT_PREFIX = "XAP_DB_";
+
+//  Suffix of the variables that reference a secret file.
+const FILE_SUFFIX = "_FILE";
+
+//
+//  Private functions.
+//
+
+/**
+ *  Get whether the environment has specific variable.
+ * 
+ *  @param {Object} env - The environment.
+ *  @param {String} name - The variable name.
+ *  @return {Boolean} - True if so.
+ */
+function HasVariable(env, name) {
+    return (
+        Object.prototype.hasOwnProperty.call(env, name) &&
+        typeof(env[name]) == "string"
+    );
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  Get the environment variable name of a configuration item.
+ * 
+ *  Note(s):
+ *    [1] Names are upper-cased, "-" becomes "_" and nested keys are joined
+ *        by "__", e.g. "transaction.isolation-level" with prefix "XAP_DB_"
+ *        becomes "XAP_DB_TRANSACTION__ISOLATION_LEVEL".
+ * 
+ *  @param {String} prefix - The variable prefix.
+ *  @param {String[]} path - The path of the configuration item.
+ *  @return {String} - The variable name.
+ */
+function GetEnvironmentVariableName(prefix, path) {
+    return prefix + path.map(function(name) {
+        return name.toUpperCase().replace(/-/g, "_");
+    }).join("__");
+}
+
+/**
+ *  Read the raw configuration overlay from environment variables.
+ * 
+ *  Note(s):
+ *    [1] Every scalar item in the template is looked up, values are coerced
+ *        to the type of the template value.
+ *    [2] A variable with "_FILE" suffix (e.g. "XAP_DB_PASSWORD_FILE") becomes
+ *        a secret file reference ({"file": "..."}) of the item.
+ *    [3] The "URL" variable (e.g. "XAP_DB_URL") becomes the "url" item.
+ *    [4] The variable of a switchable section (e.g. "XAP_DB_LOGGING") is a
+ *        shorthand of its "enabled" item.
+ * 
+ *  @throws {ModelConfigurationError}
+ *      - Raised if any variable can't be coerced.
+ *  @param {Object} env
+ *      - The environment (usually process.env).
+ *  @param {String} prefix
+ *      - The variable prefix.
+ *  @param {Object} template
+ *      - The template raw configuration (usually the default one).
+ *  @return {Object}
+ *      - The raw configuration overlay.
+ */
+function ReadEnvironmentOverlay(env, prefix, template) {
+    /**
+     *  Walk the template.
+     *
+     *  @param {Object} tmpl - The template.
+     *  @param {String[]} path - The path of the template.
+     *  @return {Object} - The overlay.
+     */
+    function _Walk(tmpl, path) {
+        let rst = {};
+        for (let key in tmpl) {
+            let value = tmpl[key];
+            let subPath = path.concat([key]);
+            let name = GetEnvironmentVariableName(prefix, subPath);
+            if (IsPlainObject(value)) {
+                let sub = _Walk(value, subPath);
+                if (IsSwitchableSection(value) && HasVariable(env, name)) {
+                    //  Shorthand of "enabled" (e.g. "XAP_DB_LOGGING=true").
+                    try {
+                        sub = MergeRawConfiguration(
+                            CoerceRawValue(env[name], value), 
+                            sub
+                        );
+                    } catch (error) {
+                        throw new ModelConfigurationError(Util.format(
+                            "Invalid environment variable \"%s\". " +
+                            "(error = \"%s\")",
+                            name,
+                            error.message || "Unknown error."
+                        ), subPath.join("."), error);
+                    }
+                }
+                if (Object.keys(sub).length != 0) {
+                    rst[key] = sub;
+                }
+                continue;
+            }
+            if (HasVariable(env, name)) {
+                try {
+                    rst[key] = CoerceRawValue(env[name], value);
+                } catch (error) {
+                    throw new ModelConfigurationError(Util.format(
+                        "Invalid environment variable \"%s\". " +
+                        "(error = \"%s\")",
+                        name,
+                        error.message || "Unknown error."
+                    ), subPath.join("."), error);
+                }
+            } else if (HasVariable(env, name + FILE_SUFFIX)) {
+                rst[key] = {
+                    "file": env[name + FILE_SUFFIX]
+                };
+            }
+        }
+        return rst;
+    }
+
+    let rst = _Walk(template, []);
+    let urlName = GetEnvironmentVariableName(prefix, ["url"]);
+    if (HasVariable(env, urlName)) {
+        rst["url"] = env[urlName];
+    }
+
+    return rst;
+}
+
+//  Export public APIs.
+module.exports = {
+    "DEFAULT_PREFIX": DEFAULT_PREFIX,
+    "GetEnvironmentVariableName": GetEnvironmentVariableName,
+    "ReadEnvironmentOverlay": ReadEnvironmentOverlay
+};
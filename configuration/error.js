@@ -0,0 +1,120 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Import modules.
+const Util = require("util");
+
+//
+//  Classes.
+//
+
+/**
+ *  Model configuration error.
+ * 
+ *  @constructor
+ *  @extends {Error}
+ *  @param {String} [message] - The message.
+ *  @param {?String} [path] - The path of the invalid field (e.g. "pool.max").
+ *  @param {?Error} [cause] - The original error.
+ *  @param {?Array<{path: ?String, message: String}>} [errors] 
+ *      - All problems found (default is this error only).
+ */
+function ModelConfigurationError(
+    message = "Unknown error.", 
+    path = null, 
+    cause = null, 
+    errors = null
+) {
+    //  Let parent class initialize.
+    Error.call(this, message);
+    Error.captureStackTrace(this, this.constructor);
+    this.name = this.constructor.name;
+    this.message = message;
+    this.code = "ERR_MODEL_CONFIGURATION";
+    this.path = path;
+    this.cause = cause;
+    if (errors === null) {
+        errors = [{
+            "path": path,
+            "message": message
+        }];
+    }
+    this.errors = errors;
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  Get the field path (e.g. "pool.max") of a traverse error.
+ * 
+ *  Note(s):
+ *    [1] XRTLibTraverse only reports the path within its message (like 
+ *        'path="/pool/max"').
+ * 
+ *  @param {Error} error - The traverse error.
+ *  @return {?String} - The path (NULL if not available).
+ */
+function GetTraverseErrorPath(error) {
+    let matched = /path="([^"]*)"/.exec(
+        (error && typeof(error.message) == "string") ? error.message : ""
+    );
+    if (matched === null) {
+        return null;
+    }
+    let path = matched[1].split("/").filter(function(name) {
+        return name.length != 0;
+    }).join(".").replace(/\.\[/g, "[");
+    return (path.length == 0 ? null : path);
+}
+
+/**
+ *  Prefix the path of a model configuration error.
+ * 
+ *  @param {ModelConfigurationError} error - The error.
+ *  @param {String} prefix - The path prefix (e.g. "pool").
+ *  @return {ModelConfigurationError} - The prefixed error.
+ */
+function PrefixConfigurationErrorPath(error, prefix) {
+    let path = prefix;
+    if (error.path !== null) {
+        path += (error.path.startsWith("[") ? "" : ".") + error.path;
+    }
+    let errors = error.errors.map(function(item) {
+        return {
+            "path": (
+                item["path"] === null ? 
+                prefix : 
+                prefix + (item["path"].startsWith("[") ? "" : ".") + 
+                item["path"]
+            ),
+            "message": item["message"]
+        };
+    });
+    return new ModelConfigurationError(
+        error.message, 
+        path, 
+        error.cause, 
+        errors
+    );
+}
+
+//
+//  Inheritances.
+//
+Util.inherits(ModelConfigurationError, Error);
+
+//  Export public APIs.
+module.exports = {
+    "ModelConfigurationError": ModelConfigurationError,
+    "GetTraverseErrorPath": GetTraverseErrorPath,
+    "PrefixConfigurationErrorPath": PrefixConfigurationErrorPath
+};
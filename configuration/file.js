@@ -0,0 +1,234 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Import modules.
+const CfgError = require("./error");
+const CfgRaw = require("./raw");
+const FS = require("fs");
+const Path = require("path");
+const Util = require("util");
+
+//  Imported classes.
+const ModelConfigurationError = CfgError.ModelConfigurationError;
+
+//  Imported functions.
+const IsPlainObject = CfgRaw.IsPlainObject;
+
+//
+//  Constants.
+//
+
+//  Package that parses YAML files (optional).
+const YAML_PACKAGE = "js-yaml";
+
+//  Supported file extensions (extension => format).
+const FILE_FORMATS = {
+    ".json": "json",
+    ".yaml": "yaml",
+    ".yml": "yaml"
+};
+
+//
+//  Private functions.
+//
+
+/**
+ *  Parse YAML text.
+ * 
+ *  Note(s):
+ *    [1] Only the core schema is used, so that no custom type (like
+ *        functions) can be constructed.
+ * 
+ *  @throws {Error}
+ *      - Raised if the text can't be parsed or the YAML package is not
+ *        installed.
+ *  @param {String} text
+ *      - The text.
+ *  @return {*}
+ *      - The parsed value.
+ */
+function ParseYAML(text) {
+    let yaml;
+    try {
+        yaml = require(YAML_PACKAGE);
+    } catch (error) {
+        throw new Error(Util.format(
+            "Package \"%s\" is not installed, install it by " +
+            "\"npm install %s --save\".",
+            YAML_PACKAGE,
+            YAML_PACKAGE
+        ));
+    }
+    return yaml.load(text, {
+        "schema": yaml.CORE_SCHEMA
+    });
+}
+
+/**
+ *  Get the parent path of a configuration item path.
+ * 
+ *  @param {String} path - The path (e.g. "replication.read[0].host").
+ *  @return {?String} - The parent path (NULL if top-level).
+ */
+function GetParentPath(path) {
+    let position = Math.max(path.lastIndexOf("."), path.lastIndexOf("["));
+    return (position <= 0 ? null : path.substring(0, position));
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  Get the path of a profile overlay file.
+ * 
+ *  Note(s):
+ *    [1] The profile name is inserted before the extension, e.g. profile
+ *        "production" of "database.json" is "database.production.json".
+ * 
+ *  @param {String} file - The base file path.
+ *  @param {String} profile - The profile name.
+ *  @return {String} - The overlay file path.
+ */
+function GetProfileFilePath(file, profile) {
+    let extension = Path.extname(file);
+    return file.substring(0, file.length - extension.length) + "." +
+           profile + extension;
+}
+
+/**
+ *  Read a raw configuration file.
+ * 
+ *  Note(s):
+ *    [1] The format is decided by the extension, ".json" for JSON and
+ *        ".yaml" (or ".yml") for YAML.
+ *    [2] YAML files need the "js-yaml" package installed.
+ * 
+ *  @throws {ModelConfigurationError}
+ *      - Raised if the file can't be read or parsed, or doesn't contain an
+ *        object.
+ *  @param {String} file
+ *      - The file path.
+ *  @return {Object}
+ *      - The raw configuration.
+ */
+function ReadRawConfigurationFile(file) {
+    let extension = Path.extname(file).toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(FILE_FORMATS, extension)) {
+        throw new ModelConfigurationError(Util.format(
+            "Unsupported configuration file format. (file = \"%s\", " +
+            "supported = %s)",
+            file,
+            JSON.stringify(Object.keys(FILE_FORMATS))
+        ));
+    }
+
+    //  Read the file.
+    let text;
+    try {
+        text = FS.readFileSync(file, "utf8");
+    } catch (error) {
+        throw new ModelConfigurationError(Util.format(
+            "Read configuration file error. (file = \"%s\", error = \"%s\")",
+            file,
+            error.message || "Unknown error."
+        ), null, error);
+    }
+
+    //  Parse the file.
+    let rst;
+    try {
+        if (FILE_FORMATS[extension] == "yaml") {
+            rst = ParseYAML(text);
+        } else {
+            rst = JSON.parse(text);
+        }
+    } catch (error) {
+        throw new ModelConfigurationError(Util.format(
+            "Parse configuration file error. (file = \"%s\", error = \"%s\")",
+            file,
+            error.message || "Unknown error."
+        ), null, error);
+    }
+    if (!IsPlainObject(rst)) {
+        throw new ModelConfigurationError(Util.format(
+            "Configuration file should contain an object. (file = \"%s\")",
+            file
+        ));
+    }
+
+    return rst;
+}
+
+/**
+ *  Record the source of each item of a raw configuration layer.
+ * 
+ *  Note(s):
+ *    [1] Sources are recorded for leaf items (items that are not plain
+ *        objects), an item replaced by a later layer takes the source of
+ *        that layer (and the sources of its sub-items are dropped).
+ *    [2] The sources are modified in place.
+ * 
+ *  @param {Object<String, String>} sources
+ *      - The sources (item path => source).
+ *  @param {Object} layer
+ *      - The raw configuration layer.
+ *  @param {String} source
+ *      - The source of the layer (e.g. the file path).
+ *  @param {String} [prefix]
+ *      - The path prefix of the layer.
+ */
+function RecordRawSources(sources, layer, source, prefix = "") {
+    for (let key in layer) {
+        let path = prefix + key;
+        let value = layer[key];
+        if (IsPlainObject(value)) {
+            delete sources[path];
+            RecordRawSources(sources, value, source, path + ".");
+        } else {
+            //  Drop the sources of the replaced sub-items.
+            for (let name in sources) {
+                if (name.startsWith(path + ".")) {
+                    delete sources[name];
+                }
+            }
+            sources[path] = source;
+        }
+    }
+}
+
+/**
+ *  Find the source of a configuration item.
+ * 
+ *  @param {Object<String, String>} sources
+ *      - The sources (item path => source).
+ *  @param {?String} path
+ *      - The item path (e.g. "pool.max").
+ *  @return {?String}
+ *      - The source of the item (or its nearest parent item, NULL if not
+ *        found).
+ */
+function FindRawSource(sources, path) {
+    while (path !== null) {
+        if (Object.prototype.hasOwnProperty.call(sources, path)) {
+            return sources[path];
+        }
+        path = GetParentPath(path);
+    }
+    return null;
+}
+
+//  Export public APIs.
+module.exports = {
+    "FindRawSource": FindRawSource,
+    "GetProfileFilePath": GetProfileFilePath,
+    "ReadRawConfigurationFile": ReadRawConfigurationFile,
+    "RecordRawSources": RecordRawSources
+};
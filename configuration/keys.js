@@ -0,0 +1,161 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Import modules.
+const CfgError = require("./error");
+const CfgRaw = require("./raw");
+const Util = require("util");
+
+//  Imported classes.
+const ModelConfigurationError = CfgError.ModelConfigurationError;
+
+//  Imported functions.
+const IsPlainObject = CfgRaw.IsPlainObject;
+const ToKebabCaseKey = CfgRaw.ToKebabCaseKey;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Get the edit (Levenshtein) distance of two strings.
+ * 
+ *  @param {String} a - The first string.
+ *  @param {String} b - The second string.
+ *  @return {Number} - The distance.
+ */
+function GetEditDistance(a, b) {
+    let previous = [];
+    for (let j = 0; j <= b.length; ++j) {
+        previous.push(j);
+    }
+    for (let i = 1; i <= a.length; ++i) {
+        let current = [i];
+        for (let j = 1; j <= b.length; ++j) {
+            current.push(Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1)
+            ));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ *  Suggest the known key that an unknown key was most likely meant to be.
+ * 
+ *  Note(s):
+ *    [1] A known key is suggested if it's close to the unknown key (in edit
+ *        distance), or one of them is a prefix of the other (like "max" and
+ *        "maximum").
+ * 
+ *  @param {String} key - The unknown key.
+ *  @param {String[]} known - The known keys.
+ *  @return {?String} - The suggested key (NULL if none).
+ */
+function SuggestKey(key, known) {
+    let normalized = ToKebabCaseKey(key).toLowerCase();
+    let threshold = Math.max(2, Math.floor(normalized.length / 3));
+    let rst = null;
+    let best = Infinity;
+    known.forEach(function(candidate) {
+        let distance = GetEditDistance(normalized, candidate);
+        let shorter = Math.min(normalized.length, candidate.length);
+        if (
+            shorter >= 3 &&
+            (
+                normalized.startsWith(candidate) ||
+                candidate.startsWith(normalized)
+            )
+        ) {
+            distance = Math.min(distance, 1);
+        }
+        if (distance <= threshold && distance < best) {
+            rst = candidate;
+            best = distance;
+        }
+    });
+    return rst;
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  Resolve the keys of a raw configuration section.
+ * 
+ *  Note(s):
+ *    [1] camelCase keys (like "omitNull") are accepted as aliases of the
+ *        kebab-case keys (like "omit-null").
+ *    [2] Unknown keys are kept (and ignored by the loader) unless in strict
+ *        mode.
+ *    [3] The input is not modified, a non-object input is returned as is.
+ * 
+ *  @throws {ModelConfigurationError}
+ *      - Raised if an item is given by both its key and its alias, or an
+ *        unknown key was found in strict mode (with the key as path).
+ *  @param {*} cfg
+ *      - The raw configuration section.
+ *  @param {String[]} known
+ *      - The known (kebab-case) keys.
+ *  @param {Boolean} strict
+ *      - True if unknown keys are rejected.
+ *  @return {*}
+ *      - The resolved raw configuration section.
+ */
+function ResolveRawKeys(cfg, known, strict) {
+    if (!IsPlainObject(cfg)) {
+        return cfg;
+    }
+    let rst = {};
+    for (let key in cfg) {
+        let name = key;
+        if (known.indexOf(key) < 0) {
+            let alias = ToKebabCaseKey(key);
+            if (alias != key && known.indexOf(alias) >= 0) {
+                if (Object.prototype.hasOwnProperty.call(cfg, alias)) {
+                    throw new ModelConfigurationError(Util.format(
+                        "Item \"%s\" is given twice (also as \"%s\").",
+                        alias,
+                        key
+                    ), alias);
+                }
+                name = alias;
+            } else if (strict) {
+                let suggestion = SuggestKey(key, known);
+                throw new ModelConfigurationError(
+                    suggestion === null ?
+                    Util.format(
+                        "Unknown item \"%s\". (known = %s)",
+                        key,
+                        JSON.stringify(known)
+                    ) :
+                    Util.format(
+                        "Unknown item \"%s\". (did you mean \"%s\"?)",
+                        key,
+                        suggestion
+                    ),
+                    key
+                );
+            }
+        }
+        rst[name] = cfg[key];
+    }
+    return rst;
+}
+
+//  Export public APIs.
+module.exports = {
+    "ResolveRawKeys": ResolveRawKeys,
+    "SuggestKey": SuggestKey
+};
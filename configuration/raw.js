@@ -0,0 +1,232 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Import modules.
+const Util = require("util");
+
+//
+//  Private functions.
+//
+
+/**
+ *  Get whether the value is a data container (an array, or an object 
+ *  created by an object literal or JSON.parse()).
+ * 
+ *  Note(s):
+ *    [1] Other objects (like loggers) are treated as opaque values.
+ * 
+ *  @param {*} value - The value.
+ *  @return {Boolean} - True if so.
+ */
+function IsDataContainer(value) {
+    if (Array.isArray(value)) {
+        return true;
+    }
+    if (value === null || typeof(value) != "object") {
+        return false;
+    }
+    let prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  Get whether the value is a plain object (not NULL, not an array).
+ * 
+ *  @param {*} value - The value.
+ *  @return {Boolean} - True if so.
+ */
+function IsPlainObject(value) {
+    return (
+        value !== null &&
+        typeof(value) == "object" &&
+        !Array.isArray(value)
+    );
+}
+
+/**
+ *  Get whether the value is a switchable section (a plain object with a
+ *  boolean "enabled" item).
+ * 
+ *  @param {*} value - The value.
+ *  @return {Boolean} - True if so.
+ */
+function IsSwitchableSection(value) {
+    return IsPlainObject(value) && typeof(value["enabled"]) == "boolean";
+}
+
+/**
+ *  Convert a camelCase key to kebab-case (e.g. "omitNull" to "omit-null").
+ * 
+ *  @param {String} key - The key.
+ *  @return {String} - The converted key (the key itself if not camelCase).
+ */
+function ToKebabCaseKey(key) {
+    return key.replace(/([a-z0-9])([A-Z])/g, function(_, previous, upper) {
+        return previous + "-" + upper.toLowerCase();
+    });
+}
+
+/**
+ *  Deep merge two raw configurations.
+ * 
+ *  Note(s):
+ *    [1] Plain objects are merged key by key, any other value in the overlay
+ *        replaces the value in the base.
+ *    [2] Neither of the inputs is modified.
+ *    [3] Keys that differ only in camelCase and kebab-case spelling (like 
+ *        "omitNull" and "omit-null") are the same item, the spelling of the 
+ *        overlay replaces the spelling of the base.
+ * 
+ *  @param {Object} base - The base raw configuration.
+ *  @param {Object} overlay - The overlay raw configuration.
+ *  @return {Object} - The merged raw configuration.
+ */
+function MergeRawConfiguration(base, overlay) {
+    let rst = {};
+    for (let key in base) {
+        rst[key] = base[key];
+    }
+    for (let key in overlay) {
+        let value = overlay[key];
+        let kebab = ToKebabCaseKey(key);
+        for (let name in rst) {
+            if (name != key && ToKebabCaseKey(name) == kebab) {
+                rst[key] = rst[name];
+                delete rst[name];
+            }
+        }
+        if (IsPlainObject(value) && IsPlainObject(rst[key])) {
+            rst[key] = MergeRawConfiguration(rst[key], value);
+        } else {
+            rst[key] = value;
+        }
+    }
+    return rst;
+}
+
+/**
+ *  Deep copy a raw configuration.
+ * 
+ *  Note(s):
+ *    [1] Only arrays and plain data objects are copied, other values (like 
+ *        functions and loggers) are shared.
+ * 
+ *  @param {*} value - The raw configuration.
+ *  @return {*} - The copy.
+ */
+function CloneRawConfiguration(value) {
+    if (Array.isArray(value)) {
+        return value.map(CloneRawConfiguration);
+    }
+    if (IsDataContainer(value)) {
+        let rst = {};
+        for (let key in value) {
+            rst[key] = CloneRawConfiguration(value[key]);
+        }
+        return rst;
+    }
+    return value;
+}
+
+/**
+ *  Deep freeze a raw configuration.
+ * 
+ *  Note(s):
+ *    [1] Only arrays and plain data objects are frozen, other values (like 
+ *        functions and loggers) are left as is.
+ *    [2] The input is frozen in place.
+ * 
+ *  @param {*} value - The raw configuration.
+ *  @return {*} - The raw configuration itself.
+ */
+function FreezeRawConfiguration(value) {
+    if (IsDataContainer(value)) {
+        Object.freeze(value);
+        for (let key in value) {
+            FreezeRawConfiguration(value[key]);
+        }
+    }
+    return value;
+}
+
+/**
+ *  Coerce a text to the type of the template value.
+ * 
+ *  Note(s):
+ *    [1] Number templates accept decimal numbers only.
+ *    [2] Boolean templates accept "true", "false", "1" and "0".
+ *    [3] String and NULL templates accept any text.
+ *    [4] Array templates accept a comma-separated list of strings (empty 
+ *        items are dropped).
+ *    [5] Templates of switchable sections (objects with a boolean "enabled"
+ *        item, like "logging") accept a boolean text as a shorthand of
+ *        {"enabled": <boolean>}.
+ * 
+ *  @throws {Error}
+ *      - Raised if the text can't be coerced.
+ *  @param {String} text
+ *      - The text.
+ *  @param {*} template
+ *      - The template value (usually the default value).
+ *  @return {*}
+ *      - The coerced value.
+ */
+function CoerceRawValue(text, template) {
+    if (typeof(template) == "number") {
+        if (!/^[+-]?[0-9]+(\.[0-9]+)?$/.test(text)) {
+            throw new Error(Util.format(
+                "Expect a number. (value = \"%s\")",
+                text
+            ));
+        }
+        return Number(text);
+    } else if (typeof(template) == "boolean") {
+        let lower = text.toLowerCase();
+        if (lower == "true" || lower == "1") {
+            return true;
+        } else if (lower == "false" || lower == "0") {
+            return false;
+        } else {
+            throw new Error(Util.format(
+                "Expect a boolean. (value = \"%s\")",
+                text
+            ));
+        }
+    } else if (typeof(template) == "string" || template === null) {
+        return text;
+    } else if (Array.isArray(template)) {
+        return text.split(",").map(function(item) {
+            return item.trim();
+        }).filter(function(item) {
+            return item.length != 0;
+        });
+    } else if (IsSwitchableSection(template)) {
+        return {
+            "enabled": CoerceRawValue(text, template["enabled"])
+        };
+    } else {
+        throw new Error("The value can't be given as a text.");
+    }
+}
+
+//  Export public APIs.
+module.exports = {
+    "CloneRawConfiguration": CloneRawConfiguration,
+    "FreezeRawConfiguration": FreezeRawConfiguration,
+    "IsPlainObject": IsPlainObject,
+    "IsSwitchableSection": IsSwitchableSection,
+    "MergeRawConfiguration": MergeRawConfiguration,
+    "CoerceRawValue": CoerceRawValue,
+    "ToKebabCaseKey": ToKebabCaseKey
+};
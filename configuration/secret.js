@@ -0,0 +1,187 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Import modules.
+const CfgError = require("./error");
+const CfgRaw = require("./raw");
+const FS = require("fs");
+const Util = require("util");
+
+//  Imported classes.
+const ModelConfigurationError = CfgError.ModelConfigurationError;
+
+//  Imported functions.
+const CoerceRawValue = CfgRaw.CoerceRawValue;
+const IsPlainObject = CfgRaw.IsPlainObject;
+
+//
+//  Public functions.
+//
+
+/**
+ *  Get whether the value is a secret file reference (like
+ *  {"file": "/run/secrets/db"}).
+ * 
+ *  @param {*} value - The value.
+ *  @return {Boolean} - True if so.
+ */
+function IsSecretReference(value) {
+    if (!IsPlainObject(value)) {
+        return false;
+    }
+    let keys = Object.keys(value);
+    return keys.length == 1 && keys[0] == "file";
+}
+
+/**
+ *  Read a secret file.
+ * 
+ *  Note(s):
+ *    [1] One trailing line break is removed.
+ * 
+ *  @throws {ModelConfigurationError}
+ *      - Raised if the file can't be read.
+ *  @param {String} file
+ *      - The file path.
+ *  @param {String} name
+ *      - The configuration item name (used in error message).
+ *  @return {String}
+ *      - The content.
+ */
+function ReadSecretFile(file, name) {
+    if (typeof(file) != "string" || file.length == 0) {
+        throw new ModelConfigurationError(Util.format(
+            "Secret file path of \"%s\" should be a non-empty string.",
+            name
+        ), name);
+    }
+    let content;
+    try {
+        content = FS.readFileSync(file, "utf8");
+    } catch (error) {
+        throw new ModelConfigurationError(Util.format(
+            "Read secret file of \"%s\" error. (file = \"%s\", error = \"%s\")",
+            name,
+            file,
+            error.message || "Unknown error."
+        ), name, error);
+    }
+    return content.replace(/\r?\n$/, "");
+}
+
+/**
+ *  Replace all secret file references in raw configuration with the content
+ *  of the files.
+ * 
+ *  Note(s):
+ *    [1] Only scalar items (items whose template value is not an object) can
+ *        be referenced, the content is coerced to the type of the template
+ *        value.
+ *    [2] The input is not modified.
+ * 
+ *  @throws {ModelConfigurationError}
+ *      - Raised if any secret file can't be read or coerced.
+ *  @param {Object} cfg
+ *      - The raw configuration.
+ *  @param {Object} template
+ *      - The template raw configuration (usually the default one).
+ *  @param {String} [prefix]
+ *      - The path prefix of the raw configuration (used in error message).
+ *  @return {Object}
+ *      - The resolved raw configuration.
+ */
+function ResolveSecretReferences(cfg, template, prefix = "") {
+    let rst = {};
+    for (let key in cfg) {
+        let value = cfg[key];
+        let name = prefix + key;
+        let tmpl = (
+            IsPlainObject(template) && (key in template) ?
+            template[key] :
+            undefined
+        );
+        if (IsSecretReference(value) && !IsPlainObject(tmpl)) {
+            let content = ReadSecretFile(value["file"], name);
+            try {
+                rst[key] = CoerceRawValue(
+                    content,
+                    tmpl === undefined ? null : tmpl
+                );
+            } catch (error) {
+                throw new ModelConfigurationError(Util.format(
+                    "Invalid secret file content of \"%s\". (error = \"%s\")",
+                    name,
+                    error.message || "Unknown error."
+                ), name, error);
+            }
+        } else if (IsPlainObject(value) && IsPlainObject(tmpl)) {
+            rst[key] = ResolveSecretReferences(value, tmpl, name + ".");
+        } else {
+            rst[key] = value;
+        }
+    }
+    return rst;
+}
+
+/**
+ *  Put the secret file references of the given raw configuration back into
+ *  a raw configuration (the reverse of ResolveSecretReferences()).
+ * 
+ *  Note(s):
+ *    [1] Only scalar items are replaced, sections and arrays are walked.
+ *    [2] The input is not modified.
+ * 
+ *  @param {*} raw
+ *      - The raw configuration (with the references resolved).
+ *  @param {*} given
+ *      - The raw configuration as given (with the references).
+ *  @return {*}
+ *      - The raw configuration with the references.
+ */
+function RestoreSecretReferences(raw, given) {
+    if (
+        IsSecretReference(given) &&
+        !IsPlainObject(raw) &&
+        !Array.isArray(raw)
+    ) {
+        return {
+            "file": given["file"]
+        };
+    }
+    if (IsPlainObject(raw) && IsPlainObject(given)) {
+        let rst = {};
+        for (let key in raw) {
+            rst[key] = (
+                Object.prototype.hasOwnProperty.call(given, key) ?
+                RestoreSecretReferences(raw[key], given[key]) :
+                raw[key]
+            );
+        }
+        return rst;
+    }
+    if (Array.isArray(raw) && Array.isArray(given)) {
+        return raw.map(function(item, index) {
+            return (
+                index < given.length ?
+                RestoreSecretReferences(item, given[index]) :
+                item
+            );
+        });
+    }
+    return raw;
+}
+
+//  Export public APIs.
+module.exports = {
+    "IsSecretReference": IsSecretReference,
+    "ReadSecretFile": ReadSecretFile,
+    "ResolveSecretReferences": ResolveSecretReferences,
+    "RestoreSecretReferences": RestoreSecretReferences
+};
@@ -0,0 +1,195 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Import modules.
+const CfgDialect = require("./dialect");
+const Util = require("util");
+
+//  Imported functions.
+const GetDialectProfile = CfgDialect.GetDialectProfile;
+
+//
+//  Constants.
+//
+
+//  Ranges of the items checked by the semantic validation (item path =>
+//  {minimum, maximum}, also given in the JSON Schema).
+const SEMANTIC_RANGES = {
+    "port": {"minimum": 1, "maximum": 65535},
+    "pool.max": {"minimum": 1},
+    "pool.min": {"minimum": 0},
+    "pool.idle": {"minimum": 0},
+    "pool.acquire": {"minimum": 1},
+    "pool.evict": {"minimum": 0},
+    "retry.max": {"minimum": 0}
+};
+
+//
+//  Private functions.
+//
+
+/**
+ *  Check the host and port of an endpoint.
+ * 
+ *  @param {Array<{path: String, message: String}>} problems
+ *      - The problems (found problems are appended).
+ *  @param {?String} host
+ *      - The host.
+ *  @param {?Number} port
+ *      - The port.
+ *  @param {String} prefix
+ *      - The path prefix (e.g. "replication.write.", empty if top-level).
+ */
+function CheckEndpoint(problems, host, port, prefix) {
+    if (host === null || host.trim().length == 0) {
+        problems.push({
+            "path": prefix + "host",
+            "message": "Host should not be empty."
+        });
+    }
+    let range = SEMANTIC_RANGES["port"];
+    if (
+        port !== null &&
+        (port < range["minimum"] || port > range["maximum"])
+    ) {
+        problems.push({
+            "path": prefix + "port",
+            "message": Util.format(
+                "Port should be in range [%d, %d]. (port = %d)",
+                range["minimum"],
+                range["maximum"],
+                port
+            )
+        });
+    }
+}
+
+/**
+ *  Check that a value is not less than the lower bound of its item (see
+ *  SEMANTIC_RANGES).
+ * 
+ *  @param {Array<{path: String, message: String}>} problems
+ *      - The problems (found problems are appended).
+ *  @param {Number} value
+ *      - The value.
+ *  @param {String} path
+ *      - The path of the value.
+ */
+function CheckAtLeast(problems, value, path) {
+    let lower = SEMANTIC_RANGES[path]["minimum"];
+    if (value < lower) {
+        problems.push({
+            "path": path,
+            "message": Util.format(
+                "Value should be at least %d. (value = %d)",
+                lower,
+                value
+            )
+        });
+    }
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  Validate the semantic (cross-field) constraints of a model
+ *  configuration.
+ * 
+ *  Note(s):
+ *    [1] Following constraints are checked:
+ *          - The host (of network dialects and replication endpoints) is
+ *            not empty, the port is in range [1, 65535].
+ *          - "pool.max" >= 1, "pool.min" >= 0, "pool.min" <= "pool.max",
+ *            "pool.idle" >= 0, "pool.acquire" >= 1 and "pool.evict" >= 0.
+ *          - "retry.max" >= 0.
+ *          - "retry.timeout" (if not 0) is not less than "pool.acquire",
+ *            otherwise each attempt times out before the pool gives up
+ *            acquiring a connection.
+ *    [2] All problems are collected (none is raised).
+ * 
+ *  @param {ModelConfiguration} modelCfg
+ *      - The model configuration.
+ *  @return {Array<{path: String, message: String}>}
+ *      - The problems (empty if valid).
+ */
+function ValidateModelConfiguration(modelCfg) {
+    let problems = [];
+
+    //  Check the endpoints.
+    if (!GetDialectProfile(modelCfg.getDialect())["storage"]) {
+        CheckEndpoint(problems, modelCfg.getHost(), modelCfg.getPort(), "");
+        let replicationCfg = modelCfg.getReplicationConfiguration();
+        if (replicationCfg !== null) {
+            let writeCfg = replicationCfg.getWriteConfiguration();
+            CheckEndpoint(
+                problems,
+                writeCfg.getHost(),
+                writeCfg.getPort(),
+                "replication.write."
+            );
+            replicationCfg.getReadConfigurations().forEach(function(
+                readCfg,
+                index
+            ) {
+                CheckEndpoint(
+                    problems,
+                    readCfg.getHost(),
+                    readCfg.getPort(),
+                    Util.format("replication.read[%d].", index)
+                );
+            });
+        }
+    }
+
+    //  Check the pool.
+    let poolCfg = modelCfg.getPoolConfiguration();
+    CheckAtLeast(problems, poolCfg.getMax(), "pool.max");
+    CheckAtLeast(problems, poolCfg.getMin(), "pool.min");
+    if (poolCfg.getMin() > poolCfg.getMax()) {
+        problems.push({
+            "path": "pool.min",
+            "message": Util.format(
+                "Pool minimum (%d) should not be greater than pool maximum " +
+                "(%d).",
+                poolCfg.getMin(),
+                poolCfg.getMax()
+            )
+        });
+    }
+    CheckAtLeast(problems, poolCfg.getIdle(), "pool.idle");
+    CheckAtLeast(problems, poolCfg.getAcquire(), "pool.acquire");
+    CheckAtLeast(problems, poolCfg.getEvict(), "pool.evict");
+
+    //  Check the retry.
+    let retryCfg = modelCfg.getRetryConfiguration();
+    CheckAtLeast(problems, retryCfg.getMax(), "retry.max");
+    let timeout = retryCfg.getTimeout();
+    if (timeout != 0 && timeout < poolCfg.getAcquire()) {
+        problems.push({
+            "path": "retry.timeout",
+            "message": Util.format(
+                "Retry timeout (%dms) should not be less than pool acquire " +
+                "timeout (%dms).",
+                timeout,
+                poolCfg.getAcquire()
+            )
+        });
+    }
+
+    return problems;
+}
+
+//  Export public APIs.
+module.exports = {
+    "SEMANTIC_RANGES": SEMANTIC_RANGES,
+    "ValidateModelConfiguration": ValidateModelConfiguration
+};
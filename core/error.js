@@ -0,0 +1,468 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Util = require("util");
+
+//
+//  Constants.
+//
+
+//  Sequelize error names of host unreachable errors.
+const HOST_UNREACHABLE_ERROR_NAMES = new Set([
+    "SequelizeConnectionRefusedError",
+    "SequelizeHostNotFoundError",
+    "SequelizeHostNotReachableError"
+]);
+
+//  Driver error codes of host unreachable errors.
+const HOST_UNREACHABLE_ERROR_CODES = new Set([
+    "ECONNREFUSED",
+    "ENOTFOUND",
+    "EAI_AGAIN",
+    "EHOSTUNREACH",
+    "ENETUNREACH",
+    "EADDRNOTAVAIL"
+]);
+
+//  Driver error codes of access denied errors.
+const ACCESS_DENIED_ERROR_CODES = new Set([
+    "ER_ACCESS_DENIED_ERROR",
+    "ER_ACCESS_DENIED_NO_PASSWORD_ERROR",
+    "ER_DBACCESS_DENIED_ERROR",
+    "ELOGIN",
+    "28000",
+    "28P01"
+]);
+
+//  Driver error codes of unknown database errors.
+const UNKNOWN_DATABASE_ERROR_CODES = new Set([
+    "ER_BAD_DB_ERROR",
+    "SQLITE_CANTOPEN",
+    "3D000"
+]);
+
+//  Sequelize error names of timeout errors.
+const TIMEOUT_ERROR_NAMES = new Set([
+    "SequelizeConnectionTimedOutError",
+    "SequelizeConnectionAcquireTimeoutError",
+    "TimeoutError"
+]);
+
+//  Driver error codes of timeout errors.
+const TIMEOUT_ERROR_CODES = new Set([
+    "ETIMEDOUT",
+    "ETIMEOUT",
+    "PROTOCOL_SEQUENCE_TIMEOUT"
+]);
+
+//
+//  Classes.
+//
+
+/**
+ *  Sequelize factory error.
+ * 
+ *  @constructor
+ *  @extends {Error}
+ *  @param {String} [message] - The message.
+ *  @param {?Error} [cause] - The original error.
+ */
+function SequelizeFactoryError(message = "Unknown error.", cause = null) {
+    //  Let parent class initialize.
+    Error.call(this, message);
+    Error.captureStackTrace(this, this.constructor);
+    this.name = this.constructor.name;
+    this.message = message;
+    this.code = "ERR_SEQUELIZEFACTORY";
+    this.cause = cause;
+}
+
+/**
+ *  Sequelize factory configuration error.
+ * 
+ *  @constructor
+ *  @extends {SequelizeFactoryError}
+ *  @param {String} [message] - The message.
+ *  @param {?String} [path] - The path of the invalid field (e.g. "pool.max").
+ *  @param {?Error} [cause] - The original error.
+ *  @param {?Array<{path: ?String, message: String}>} [errors] 
+ *      - All problems found (default is this error only).
+ */
+function SequelizeFactoryConfigurationError(
+    message = "Unknown error.",
+    path = null,
+    cause = null,
+    errors = null
+) {
+    //  Let parent class initialize.
+    SequelizeFactoryError.call(this, message, cause);
+    this.code = "ERR_SEQUELIZEFACTORY_CONFIGURATION";
+    this.path = path;
+    if (errors === null) {
+        errors = [{
+            "path": path,
+            "message": message
+        }];
+    }
+    this.errors = errors;
+}
+
+/**
+ *  Sequelize factory authenticate error.
+ * 
+ *  @constructor
+ *  @extends {SequelizeFactoryError}
+ *  @param {String} [message] - The message.
+ *  @param {?Error} [cause] - The original error (of the last attempt).
+ *  @param {?Error[]} [attempts] - The errors of all failed attempts (default 
+ *                                 is the original error only).
+ */
+function SequelizeFactoryAuthenticateError(
+    message = "Unknown error.",
+    cause = null,
+    attempts = null
+) {
+    //  Let parent class initialize.
+    SequelizeFactoryError.call(this, message, cause);
+    this.code = "ERR_SEQUELIZEFACTORY_AUTHENTICATE";
+    if (attempts === null) {
+        attempts = (cause === null ? [] : [cause]);
+    }
+    this.attempts = attempts;
+}
+
+/**
+ *  Sequelize factory shutdown error (the factory was shut down).
+ * 
+ *  @constructor
+ *  @extends {SequelizeFactoryError}
+ *  @param {String} [message] - The message.
+ *  @param {?Error} [cause] - The original error.
+ */
+function SequelizeFactoryShutdownError(
+    message = "Unknown error.",
+    cause = null
+) {
+    //  Let parent class initialize.
+    SequelizeFactoryError.call(this, message, cause);
+    this.code = "ERR_SEQUELIZEFACTORY_SHUTDOWN";
+}
+
+/**
+ *  Sequelize factory host unreachable error (the host can't be resolved,
+ *  reached or refused the connection).
+ * 
+ *  @constructor
+ *  @extends {SequelizeFactoryAuthenticateError}
+ *  @param {String} [message] - The message.
+ *  @param {?Error} [cause] - The original error (of the last attempt).
+ *  @param {?Error[]} [attempts] - The errors of all failed attempts.
+ */
+function SequelizeFactoryHostUnreachableError(
+    message = "Unknown error.",
+    cause = null,
+    attempts = null
+) {
+    //  Let parent class initialize.
+    SequelizeFactoryAuthenticateError.call(this, message, cause, attempts);
+    this.code = "ERR_SEQUELIZEFACTORY_HOST_UNREACHABLE";
+}
+
+/**
+ *  Sequelize factory access denied error (the credentials were rejected).
+ * 
+ *  @constructor
+ *  @extends {SequelizeFactoryAuthenticateError}
+ *  @param {String} [message] - The message.
+ *  @param {?Error} [cause] - The original error (of the last attempt).
+ *  @param {?Error[]} [attempts] - The errors of all failed attempts.
+ */
+function SequelizeFactoryAccessDeniedError(
+    message = "Unknown error.",
+    cause = null,
+    attempts = null
+) {
+    //  Let parent class initialize.
+    SequelizeFactoryAuthenticateError.call(this, message, cause, attempts);
+    this.code = "ERR_SEQUELIZEFACTORY_ACCESS_DENIED";
+}
+
+/**
+ *  Sequelize factory unknown database error (the database doesn't exist).
+ * 
+ *  @constructor
+ *  @extends {SequelizeFactoryAuthenticateError}
+ *  @param {String} [message] - The message.
+ *  @param {?Error} [cause] - The original error (of the last attempt).
+ *  @param {?Error[]} [attempts] - The errors of all failed attempts.
+ */
+function SequelizeFactoryUnknownDatabaseError(
+    message = "Unknown error.",
+    cause = null,
+    attempts = null
+) {
+    //  Let parent class initialize.
+    SequelizeFactoryAuthenticateError.call(this, message, cause, attempts);
+    this.code = "ERR_SEQUELIZEFACTORY_UNKNOWN_DATABASE";
+}
+
+/**
+ *  Sequelize factory timeout error (connecting or acquiring a connection
+ *  timed out).
+ * 
+ *  @constructor
+ *  @extends {SequelizeFactoryAuthenticateError}
+ *  @param {String} [message] - The message.
+ *  @param {?Error} [cause] - The original error (of the last attempt).
+ *  @param {?Error[]} [attempts] - The errors of all failed attempts.
+ */
+function SequelizeFactoryTimeoutError(
+    message = "Unknown error.",
+    cause = null,
+    attempts = null
+) {
+    //  Let parent class initialize.
+    SequelizeFactoryAuthenticateError.call(this, message, cause, attempts);
+    this.code = "ERR_SEQUELIZEFACTORY_TIMEOUT";
+}
+
+/**
+ *  Sequelize factory replication error (one or more replication endpoints 
+ *  failed to authenticate).
+ * 
+ *  @constructor
+ *  @extends {SequelizeFactoryAuthenticateError}
+ *  @param {String} [message] - The message.
+ *  @param {?Error} [cause] - The error of the first failed endpoint.
+ *  @param {Array<{role: String, index: Number, host: String, port: Number, 
+ *         error: SequelizeFactoryAuthenticateError}>} [failures] 
+ *      - The failed endpoints.
+ */
+function SequelizeFactoryReplicationError(
+    message = "Unknown error.",
+    cause = null,
+    failures = []
+) {
+    //  Let parent class initialize.
+    let attempts = null;
+    if (cause !== null && Array.isArray(cause.attempts)) {
+        attempts = cause.attempts;
+    }
+    SequelizeFactoryAuthenticateError.call(this, message, cause, attempts);
+    this.code = "ERR_SEQUELIZEFACTORY_REPLICATION";
+    this.failures = failures;
+}
+
+/**
+ *  Sequelize factory model error (a model can't be loaded, defined or 
+ *  associated).
+ * 
+ *  @constructor
+ *  @extends {SequelizeFactoryError}
+ *  @param {String} [message] - The message.
+ *  @param {?Error} [cause] - The original error.
+ *  @param {?String} [source] - The model source (the module file path or 
+ *                              the index of the definer).
+ */
+function SequelizeFactoryModelError(
+    message = "Unknown error.",
+    cause = null,
+    source = null
+) {
+    //  Let parent class initialize.
+    SequelizeFactoryError.call(this, message, cause);
+    this.code = "ERR_SEQUELIZEFACTORY_MODEL";
+    this.source = source;
+}
+
+/**
+ *  Sequelize factory sync error (sequelize.sync() failed).
+ * 
+ *  @constructor
+ *  @extends {SequelizeFactoryError}
+ *  @param {String} [message] - The message.
+ *  @param {?Error} [cause] - The original error.
+ */
+function SequelizeFactorySyncError(message = "Unknown error.", cause = null) {
+    //  Let parent class initialize.
+    SequelizeFactoryError.call(this, message, cause);
+    this.code = "ERR_SEQUELIZEFACTORY_SYNC";
+}
+
+/**
+ *  Sequelize factory migration error (a migration can't be loaded or run, or 
+ *  the migration lock can't be acquired or released).
+ * 
+ *  Note(s):
+ *    [1] If the migration lock can't be released after a migration failed, 
+ *        the error of releasing is set to the "unlockError" property (the 
+ *        migration error is raised).
+ * 
+ *  @constructor
+ *  @extends {SequelizeFactoryError}
+ *  @param {String} [message] - The message.
+ *  @param {?Error} [cause] - The original error.
+ *  @param {?String} [migration] - The name of the migration.
+ */
+function SequelizeFactoryMigrationError(
+    message = "Unknown error.",
+    cause = null,
+    migration = null
+) {
+    //  Let parent class initialize.
+    SequelizeFactoryError.call(this, message, cause);
+    this.code = "ERR_SEQUELIZEFACTORY_MIGRATION";
+    this.migration = migration;
+    this.unlockError = null;
+}
+
+/**
+ *  Sequelize factory transaction error (a managed transaction still failed 
+ *  with retryable errors after all attempts, or was misused).
+ * 
+ *  @constructor
+ *  @extends {SequelizeFactoryError}
+ *  @param {String} [message] - The message.
+ *  @param {?Error} [cause] - The original error (of the last attempt).
+ *  @param {Number} [attempts] - The count of attempts.
+ */
+function SequelizeFactoryTransactionError(
+    message = "Unknown error.",
+    cause = null,
+    attempts = 0
+) {
+    //  Let parent class initialize.
+    SequelizeFactoryError.call(this, message, cause);
+    this.code = "ERR_SEQUELIZEFACTORY_TRANSACTION";
+    this.attempts = attempts;
+}
+
+//
+//  Inheritances.
+//
+Util.inherits(SequelizeFactoryError, Error);
+Util.inherits(SequelizeFactoryConfigurationError, SequelizeFactoryError);
+Util.inherits(SequelizeFactoryAuthenticateError, SequelizeFactoryError);
+Util.inherits(
+    SequelizeFactoryHostUnreachableError,
+    SequelizeFactoryAuthenticateError
+);
+Util.inherits(
+    SequelizeFactoryAccessDeniedError,
+    SequelizeFactoryAuthenticateError
+);
+Util.inherits(
+    SequelizeFactoryUnknownDatabaseError,
+    SequelizeFactoryAuthenticateError
+);
+Util.inherits(SequelizeFactoryTimeoutError, SequelizeFactoryAuthenticateError);
+Util.inherits(
+    SequelizeFactoryReplicationError,
+    SequelizeFactoryAuthenticateError
+);
+Util.inherits(SequelizeFactoryModelError, SequelizeFactoryError);
+Util.inherits(SequelizeFactorySyncError, SequelizeFactoryError);
+Util.inherits(SequelizeFactoryMigrationError, SequelizeFactoryError);
+Util.inherits(SequelizeFactoryTransactionError, SequelizeFactoryError);
+Util.inherits(SequelizeFactoryShutdownError, SequelizeFactoryError);
+
+//
+//  Public functions.
+//
+
+/**
+ *  Wrap an error raised by sequelize.authenticate() into the sequelize 
+ *  factory authenticate error of its category.
+ * 
+ *  @param {Error} error 
+ *      - The error (of the last attempt).
+ *  @param {String} [message] 
+ *      - The message (default is the message of the error).
+ *  @param {?Error[]} [attempts] 
+ *      - The errors of all failed attempts (default is the error only).
+ *  @return {SequelizeFactoryAuthenticateError} 
+ *      - The wrapped error (one of SequelizeFactoryHostUnreachableError, 
+ *        SequelizeFactoryAccessDeniedError, 
+ *        SequelizeFactoryUnknownDatabaseError, SequelizeFactoryTimeoutError 
+ *        or SequelizeFactoryAuthenticateError for other errors).
+ */
+function WrapAuthenticateError(error, message, attempts = null) {
+    if (typeof(message) == "undefined") {
+        message = (error && error.message) || "Unknown error.";
+    }
+
+    //  Get the error name and the driver error code.
+    let name = (error && error.name) || "";
+    let original = (error && (error.original || error.parent)) || {};
+    let code = original.code || (error && error.code) || "";
+    if (original.number === 4060) {
+        //  MSSQL: Cannot open database requested by the login.
+        code = "ER_BAD_DB_ERROR";
+    }
+
+    if (
+        HOST_UNREACHABLE_ERROR_NAMES.has(name) || 
+        HOST_UNREACHABLE_ERROR_CODES.has(code)
+    ) {
+        return new SequelizeFactoryHostUnreachableError(
+            message, 
+            error, 
+            attempts
+        );
+    } else if (
+        name == "SequelizeAccessDeniedError" || 
+        ACCESS_DENIED_ERROR_CODES.has(code)
+    ) {
+        return new SequelizeFactoryAccessDeniedError(
+            message, 
+            error, 
+            attempts
+        );
+    } else if (UNKNOWN_DATABASE_ERROR_CODES.has(code)) {
+        return new SequelizeFactoryUnknownDatabaseError(
+            message, 
+            error, 
+            attempts
+        );
+    } else if (TIMEOUT_ERROR_NAMES.has(name) || TIMEOUT_ERROR_CODES.has(code)) {
+        return new SequelizeFactoryTimeoutError(
+            message, 
+            error, 
+            attempts
+        );
+    } else {
+        return new SequelizeFactoryAuthenticateError(
+            message, 
+            error, 
+            attempts
+        );
+    }
+}
+
+//  Export public APIs.
+module.exports = {
+    "SequelizeFactoryError": SequelizeFactoryError,
+    "SequelizeFactoryConfigurationError": SequelizeFactoryConfigurationError,
+    "SequelizeFactoryAuthenticateError": SequelizeFactoryAuthenticateError,
+    "SequelizeFactoryHostUnreachableError":
+        SequelizeFactoryHostUnreachableError,
+    "SequelizeFactoryAccessDeniedError": SequelizeFactoryAccessDeniedError,
+    "SequelizeFactoryUnknownDatabaseError":
+        SequelizeFactoryUnknownDatabaseError,
+    "SequelizeFactoryTimeoutError": SequelizeFactoryTimeoutError,
+    "SequelizeFactoryReplicationError": SequelizeFactoryReplicationError,
+    "SequelizeFactoryModelError": SequelizeFactoryModelError,
+    "SequelizeFactorySyncError": SequelizeFactorySyncError,
+    "SequelizeFactoryMigrationError": SequelizeFactoryMigrationError,
+    "SequelizeFactoryTransactionError": SequelizeFactoryTransactionError,
+    "SequelizeFactoryShutdownError": SequelizeFactoryShutdownError,
+    "WrapAuthenticateError": WrapAuthenticateError
+};
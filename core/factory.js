@@ -9,60 +9,860 @@
 //
 
 //  Imported modules.
+const CfgDialect = require("./../configuration/dialect");
 const CfgModel = require("./../configuration/model");
+const CrError = require("./error");
+const CrHealth = require("./health");
+const CrLogging = require("./logging");
+const CrMetrics = require("./metrics");
+const CrMigration = require("./migration");
+const CrSchema = require("./schema");
+const CrShutdown = require("./shutdown");
+const CrTenant = require("./tenant");
+const CrTransaction = require("./transaction");
+const Path = require("path");
 const Sequelize = require("sequelize");
+const Util = require("util");
+const XRTLibTraverse = require("xrtlibrary-traverse");
 
 //  Imported classes.
 const ModelConfiguration = CfgModel.ModelConfiguration;
+const ModelConfigurationError = CfgModel.ModelConfigurationError;
+const SequelizeFactoryConfigurationError = 
+    CrError.SequelizeFactoryConfigurationError;
+const SequelizeFactoryReplicationError = 
+    CrError.SequelizeFactoryReplicationError;
+const SequelizeFactoryShutdownError = CrError.SequelizeFactoryShutdownError;
+const SequelizeHealthChecker = CrHealth.SequelizeHealthChecker;
+const SequelizeMetrics = CrMetrics.SequelizeMetrics;
+const SequelizeMigrator = CrMigration.SequelizeMigrator;
+const SequelizeTenantManager = CrTenant.SequelizeTenantManager;
+const SequelizeTransactionManager = CrTransaction.SequelizeTransactionManager;
+
+//  Imported functions.
+const CloseWithTimeout = CrShutdown.CloseWithTimeout;
+const CreateQueryLogger = CrLogging.CreateQueryLogger;
+const DefineModels = CrSchema.DefineModels;
+const GetDialectProfile = CfgDialect.GetDialectProfile;
+const InstallTransactionDefaults = CrTransaction.InstallTransactionDefaults;
+const LoadModelDefiners = CrSchema.LoadModelDefiners;
+const SyncModels = CrSchema.SyncModels;
+const WrapAuthenticateError = CrError.WrapAuthenticateError;
+
+//
+//  Constants.
+//
+
+//  Default environment variable prefix.
+const DEFAULT_ENVIRONMENT_PREFIX = 
+    ModelConfiguration.DEFAULT_ENVIRONMENT_PREFIX;
+
+//  Name (without prefix) of the environment variable that allows 
+//  "sync.force".
+const SYNC_FORCE_GUARD_NAME = "ALLOW_SYNC_FORCE";
+
+//  Environment variable values that allow "sync.force".
+const SYNC_FORCE_GUARD_VALUES = new Set(["1", "true", "yes"]);
+
+//  Default time limit, in milliseconds, of shutting down.
+const DEFAULT_SHUTDOWN_TIMEOUT = 10000;
+
+//  Default maximum count of cached sequelize objects of tenants.
+const DEFAULT_TENANT_MAX = 10;
+
+//  Default idle time limit, in milliseconds, of sequelize objects of tenants.
+const DEFAULT_TENANT_IDLE_TTL = 600000;
+
+//  Default signals that trigger shutting down.
+const DEFAULT_SHUTDOWN_SIGNALS = ["SIGINT", "SIGTERM"];
+
+//  Default logger target of the signal handlers (drops the records).
+const NULL_SHUTDOWN_LOGGER = Object.freeze({
+    "info": function() {},
+    "warn": function() {}
+});
+
+//
+//  Private functions.
+//
 
 /**
- *  Sequelize factory error.
+ *  Wait for specific time.
  * 
- *  @constructor
- *  @extends {Error}
- *  @param {String} [message] - The message.
+ *  @param {Number} ms - The time, in milliseconds.
+ *  @return {Promise<void>} - The promise object (resolves when timed out).
+ */
+function Sleep(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+/**
+ *  Wait for a promise with time limit.
+ * 
+ *  @param {Promise<*>} promise 
+ *      - The promise.
+ *  @param {?Number} timeout 
+ *      - The time limit, in milliseconds (NULL if no limit).
+ *  @return {Promise<*>} 
+ *      - The promise object (resolves or rejects like the promise, or 
+ *        rejects with an "ETIMEDOUT" error if timed out).
  */
-function SequelizeFactoryError(message) {
-    //  Let parent class initialize.
-    if (arguments.length > 0) {
-        Error.call(this, message);
-        this.message = message;
-    } else {
-        Error.call(this);
-        this.message = "Unknown error.";
+function WaitWithTimeout(promise, timeout) {
+    if (timeout === null) {
+        return promise;
     }
-    Error.captureStackTrace(this, this.constructor);
-    this.name = this.constructor.name;
+    return new Promise(function(resolve, reject) {
+        let timer = setTimeout(function() {
+            let error = new Error("Authenticate deadline exceeded.");
+            error.code = "ETIMEDOUT";
+            reject(error);
+        }, timeout);
+        promise.then(function(value) {
+            clearTimeout(timer);
+            resolve(value);
+        }, function(error) {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
 }
 
 /**
- *  Sequelize factory configuration error.
+ *  Check whether the driver package of a dialect is installed.
  * 
- *  @constructor
- *  @extends {SequelizeFactoryError}
- *  @param {String} [message] - The message.
+ *  @throws {SequelizeFactoryConfigurationError}
+ *      - Raised if the driver package is not installed.
+ *  @param {String} dialect 
+ *      - The dialect.
  */
-function SequelizeFactoryConfigurationError(message) {
-    //  Let parent class initialize.
-    SequelizeFactoryError.apply(this, arguments);
+function CheckDialectDriver(dialect) {
+    let driver = GetDialectProfile(dialect)["driver"];
+    try {
+        //  The driver is loaded by Sequelize, so resolve it from there.
+        require.resolve(driver, {
+            "paths": [Path.dirname(require.resolve("sequelize"))]
+        });
+    } catch (error) {
+        throw new SequelizeFactoryConfigurationError(
+            Util.format(
+                "Driver package \"%s\" of dialect \"%s\" is not " + 
+                "installed, install it by \"npm install %s --save\".",
+                driver,
+                dialect,
+                driver
+            ),
+            "dialect",
+            error
+        );
+    }
 }
 
 /**
- *  Sequelize factory authenticate error.
+ *  Get the Sequelize options of a model configuration.
  * 
- *  @constructor
- *  @extends {SequelizeFactoryError}
- *  @param {String} [message] - The message.
+ *  @param {ModelConfiguration} modelCfg - The model configuration.
+ *  @return {Object} - The options.
  */
-function SequelizeFactoryAuthenticateError(message) {
-    //  Let parent class initialize.
-    SequelizeFactoryError.apply(this, arguments);
+function GetSequelizeOptions(modelCfg) {
+    let options = modelCfg.toObject();
+    options["logging"] = CreateQueryLogger(modelCfg);
+    return options;
 }
 
+/**
+ *  Authenticate the sequelize object with retry.
+ * 
+ *  Note(s):
+ *    [1] Each attempt runs the authentication query once (the query retry 
+ *        of Sequelize, i.e. the "retry" section, is not applied), so that 
+ *        the attempts are counted by the "authenticate" section only.
+ * 
+ *  @throws {SequelizeFactoryAuthenticateError}
+ *      - Raised if all attempts were failed or the deadline exceeded.
+ *  @param {Sequelize} sequelize 
+ *      - The sequelize object.
+ *  @param {ModelAuthenticateConfiguration} authenticateCfg 
+ *      - The authenticate configuration.
+ *  @return {Promise<void>} 
+ *      - The promise object.
+ */
+async function AuthenticateWithRetry(sequelize, authenticateCfg) {
+    let attempts = authenticateCfg.getAttempts();
+    let deadline = authenticateCfg.getDeadline();
+    let onAttempt = authenticateCfg.getOnAttempt();
+    let expireAt = (deadline > 0 ? Date.now() + deadline : null);
+
+    let errors = [];
+    for (let attempt = 1; ; ++attempt) {
+        let error = null;
+        try {
+            await WaitWithTimeout(
+                sequelize.authenticate({
+                    "retry": {
+                        "max": 1
+                    }
+                }), 
+                expireAt === null ? null : Math.max(expireAt - Date.now(), 0)
+            );
+        } catch (_error) {
+            error = _error;
+            errors.push(error);
+        }
+
+        //  Get the delay before next attempt.
+        let delay = null;
+        if (error !== null && attempt < attempts) {
+            delay = authenticateCfg.getDelayAfter(attempt);
+            if (expireAt !== null && Date.now() + delay >= expireAt) {
+                delay = null;
+            }
+        }
+
+        //  Notify the hook.
+        if (onAttempt !== null) {
+            try {
+                onAttempt(attempt, error, delay);
+            } catch (_error) {
+                //  The hook is used for logging only, its failure shall not 
+                //  break the authentication.
+            }
+        }
+
+        if (error === null) {
+            return;
+        }
+        if (delay === null) {
+            break;
+        }
+        await Sleep(delay);
+    }
+
+    //  Report all failures.
+    let lastError = errors[errors.length - 1];
+    let message = lastError.message || "Unknown error.";
+    if (errors.length > 1) {
+        message = Util.format(
+            "Sequelize authenticate failed after %d attempts. " + 
+            "(errors = %s)",
+            errors.length,
+            JSON.stringify(errors.map(function(error) {
+                return error.message || "Unknown error.";
+            }))
+        );
+    }
+    throw WrapAuthenticateError(lastError, message, errors);
+}
+
+/**
+ *  Authenticate every replication endpoint (with retry).
+ * 
+ *  Note(s):
+ *    [1] Each endpoint is authenticated by a temporary sequelize object with 
+ *        a single connection, all endpoints are checked concurrently.
+ * 
+ *  @throws {SequelizeFactoryReplicationError}
+ *      - Raised if any endpoint failed.
+ *  @param {ModelConfiguration} modelCfg 
+ *      - The model configuration (replication enabled).
+ *  @return {Promise<void>} 
+ *      - The promise object.
+ */
+async function AuthenticateReplication(modelCfg) {
+    let replicationCfg = modelCfg.getReplicationConfiguration();
+    let authenticateCfg = modelCfg.getAuthenticateConfiguration();
+
+    //  Collect the endpoints.
+    let endpoints = [{
+        "role": "write",
+        "index": 0,
+        "cfg": replicationCfg.getWriteConfiguration()
+    }];
+    replicationCfg.getReadConfigurations().forEach(function(readCfg, index) {
+        endpoints.push({
+            "role": "read",
+            "index": index,
+            "cfg": readCfg
+        });
+    });
+
+    //  Authenticate all endpoints.
+    let failures = await Promise.all(endpoints.map(async function(endpoint) {
+        let options = GetSequelizeOptions(modelCfg);
+        Object.assign(options, endpoint.cfg.toObject());
+        options["replication"] = false;
+        options["pool"] = Object.assign({}, options["pool"], {
+            "max": 1,
+            "min": 0
+        });
+        let sequelize = new Sequelize(options);
+        try {
+            await AuthenticateWithRetry(sequelize, authenticateCfg);
+            return null;
+        } catch (error) {
+            return {
+                "role": endpoint.role,
+                "index": endpoint.index,
+                "host": endpoint.cfg.getHost(),
+                "port": endpoint.cfg.getPort(),
+                "error": error
+            };
+        } finally {
+            try {
+                await sequelize.close();
+            } catch (_error) {
+                //  Ignore.
+            }
+        }
+    }));
+    failures = failures.filter(function(failure) {
+        return failure !== null;
+    });
+
+    //  Report the failed endpoints.
+    if (failures.length != 0) {
+        throw new SequelizeFactoryReplicationError(
+            Util.format(
+                "Sequelize replication authenticate failed. (failures = %s)",
+                JSON.stringify(failures.map(function(failure) {
+                    return Util.format(
+                        "%s (%s:%d): %s",
+                        failure.role == "write" ? 
+                            "write" : 
+                            Util.format("read[%d]", failure.index),
+                        failure.host,
+                        failure.port,
+                        failure.error.message
+                    );
+                }))
+            ),
+            failures[0].error,
+            failures
+        );
+    }
+}
+
+/**
+ *  Get whether "sync.force" is allowed by the environment.
+ * 
+ *  @param {String} prefix - The environment variable prefix.
+ *  @return {Boolean} - True if so.
+ */
+function IsSyncForceAllowed(prefix) {
+    let value = process.env[prefix + SYNC_FORCE_GUARD_NAME];
+    return (
+        typeof(value) == "string" && 
+        SYNC_FORCE_GUARD_VALUES.has(value.toLowerCase())
+    );
+}
+
+//
+//  Classes.
+//
+
 /**
  *  Sequelize factory.
+ * 
+ *  @constructor
+ *  @throws {SequelizeFactoryConfigurationError}
+ *      - Raised if the database registry is invalid.
+ *  @param {?Object} [registry] 
+ *      - The named database registry:
+ *          - base (Object|String): The raw configuration (or the connection 
+ *            URI) shared by all databases (default: {}).
+ *          - databases (Object): The raw configurations (or the connection 
+ *            URIs) of the databases, keyed by database name. Each one 
+ *            overrides the base.
+ *          - wait-for-authenticate (Boolean): True if wait for sequelize 
+ *            authenticate when creating (default: true).
+ *          - options (Object): The factory options used when creating (see 
+ *            create(), default: {}).
  */
-function SequelizeFactory() {
+function SequelizeFactory(registry = null) {
+    //
+    //  Members.
+    //
+
+    //  Self reference.
+    let self = this;
+
+    //  Raw configurations of registered databases (name => raw).
+    let registryConfigs = new Map();
+
+    //  Whether wait for sequelize authenticate when creating registered 
+    //  databases.
+    let registryWaitForAuthenticate = true;
+
+    //  Factory options used when creating registered databases.
+    let registryOptions = {};
+
+    //  Created sequelize objects of registered databases (name => Sequelize).
+    let instances = new Map();
+
+    //  In-flight creations of registered databases (name => Promise).
+    let creations = new Map();
+
+    //  Model configurations of created sequelize objects (Sequelize => 
+    //  ModelConfiguration).
+    let configurations = new WeakMap();
+
+    //  Health checkers of created sequelize objects (Sequelize => 
+    //  SequelizeHealthChecker).
+    let healthCheckers = new WeakMap();
+
+    //  Created sequelize objects that are not closed yet.
+    let tracked = new Set();
+
+    //  Pool and query metrics of created sequelize objects.
+    let metrics = new SequelizeMetrics();
+
+    //  Shutdown (NULL if not shutting down).
+    let shutdown = null;
+
+    //
+    //  Initialization.
+    //
+
+    if (registry !== null) {
+        try {
+            let root = XRTLibTraverse.WrapObject(registry)
+                                     .notNull()
+                                     .typeOf(Object);
+            let base = root.optionalSub("base", {})
+                           .notNull()
+                           .inner();
+            let wait = root.optionalSub("wait-for-authenticate", true)
+                           .notNull()
+                           .boolean()
+                           .inner();
+            registryOptions = root.optionalSub("options", {})
+                                  .notNull()
+                                  .typeOf(Object)
+                                  .inner();
+            registryWaitForAuthenticate = wait;
+            root.sub("databases")
+                .notNull()
+                .typeOf(Object)
+                .objectForEachEx(function(database, name) {
+                    registryConfigs.set(name, ModelConfiguration.MergeRaw([
+                        base, 
+                        database.notNull().inner()
+                    ]));
+                });
+        } catch (error) {
+            throw new SequelizeFactoryConfigurationError(
+                Util.format(
+                    "Invalid database registry. (error = \"%s\")",
+                    error.message || "Unknown error."
+                ),
+                (error instanceof ModelConfigurationError) ? error.path : null,
+                error
+            );
+        }
+    }
+
+    //
+    //  Public methods.
+    //
+
+    /**
+     *  Get whether a database is registered.
+     * 
+     *  @param {String} name - The database name.
+     *  @return {Boolean} - True if so.
+     */
+    this.has = function(name) {
+        return registryConfigs.has(name);
+    };
+
+    /**
+     *  Get the names of all registered databases.
+     * 
+     *  @return {String[]} - The names.
+     */
+    this.names = function() {
+        return Array.from(registryConfigs.keys());
+    };
+
+    /**
+     *  Get the sequelize object of a registered database (create it if not 
+     *  created yet).
+     * 
+     *  Note(s):
+     *    [1] Concurrent calls for the same database share one creation.
+     *    [2] A failed creation is not cached, next call tries again.
+     * 
+     *  @throws {SequelizeFactoryConfigurationError}
+     *      - Raised if the database is not registered or its configuration 
+     *        is invalid.
+     *  @throws {SequelizeFactoryAuthenticateError}
+     *      - Raised if sequelize authenticate was failed.
+     *  @param {String} name 
+     *      - The database name.
+     *  @return {Promise<Sequelize>} 
+     *      - The promise object which resolves sequelize object or rejects if 
+     *        occurred error.
+     */
+    this.get = async function(name) {
+        if (instances.has(name)) {
+            return instances.get(name);
+        }
+        if (creations.has(name)) {
+            return await creations.get(name);
+        }
+        if (!registryConfigs.has(name)) {
+            throw new SequelizeFactoryConfigurationError(Util.format(
+                "Database \"%s\" is not registered.",
+                name
+            ));
+        }
+
+        //  Create the sequelize object.
+        let creation = self.create(
+            registryConfigs.get(name), 
+            registryWaitForAuthenticate, 
+            registryOptions
+        );
+        creations.set(name, creation);
+        try {
+            let sequelize = await creation;
+            instances.set(name, sequelize);
+            return sequelize;
+        } finally {
+            creations.delete(name);
+        }
+    };
+
+    /**
+     *  Close the sequelize objects of all registered databases.
+     * 
+     *  Note(s):
+     *    [1] In-flight creations are waited before closing.
+     *    [2] The databases can be got (created) again after closing.
+     * 
+     *  @return {Promise<void>} 
+     *      - The promise object which resolves when all closed or rejects if 
+     *        any of them failed to close.
+     */
+    this.closeAll = async function() {
+        //  Wait for in-flight creations.
+        await Promise.all(Array.from(creations.values()).map(function(p) {
+            return p.catch(function() {
+                return null;
+            });
+        }));
+
+        //  Close all sequelize objects.
+        let closing = Array.from(instances.values());
+        instances.clear();
+        await Promise.all(closing.map(function(sequelize) {
+            return sequelize.close();
+        }));
+    };
+
+    /**
+     *  Create a tenant manager that creates and caches a sequelize object per 
+     *  tenant.
+     * 
+     *  Note(s):
+     *    [1] The configuration of a tenant is the base configuration 
+     *        overridden by the raw configuration (or the connection URI) that 
+     *        the resolver returns (or resolves) for the tenant ID.
+     *    [2] At most "max" sequelize objects are cached, the least recently 
+     *        used one is evicted when exceeded. Sequelize objects not used for 
+     *        "idle-ttl" are evicted too.
+     *    [3] Evicted sequelize objects are closed like shutdown(), i.e. 
+     *        in-use connections are waited to be released until 
+     *        "close-timeout" exceeded.
+     * 
+     *  @throws {SequelizeFactoryConfigurationError}
+     *      - Raised if the base configuration, the resolver or the options 
+     *        are invalid.
+     *  @param {ModelConfiguration|Object|String} base 
+     *      - The base configuration (like getConfiguration() returns), the 
+     *        raw configuration or the connection URI.
+     *  @param {function(String): (Object|String|Promise)} resolver 
+     *      - The function that resolves the overrides of a tenant.
+     *  @param {Object} [options]
+     *      - The options:
+     *          - max (Number): The maximum count of cached sequelize objects 
+     *            (default: 10).
+     *          - idle-ttl (Number): The idle time limit, in milliseconds, 0 
+     *            if not limited (default: 600000).
+     *          - close-timeout (Number): The time limit, in milliseconds, of 
+     *            closing an evicted sequelize object (default: 10000).
+     *          - wait-for-authenticate (Boolean): True if wait for sequelize 
+     *            authenticate when creating (default: true).
+     *          - options (Object): The factory options used when creating 
+     *            (see create(), default: {}).
+     *  @return {SequelizeTenantManager} 
+     *      - The tenant manager.
+     */
+    this.createTenantManager = function(base, resolver, options = {}) {
+        let baseCfg;
+        try {
+            baseCfg = (
+                base instanceof ModelConfiguration ? 
+                base : 
+                ModelConfiguration.From(base)
+            );
+        } catch (error) {
+            throw new SequelizeFactoryConfigurationError(
+                error.message || "Unknown error.",
+                (error instanceof ModelConfigurationError) ? error.path : null,
+                error,
+                (error instanceof ModelConfigurationError) ? error.errors : null
+            );
+        }
+        if (typeof(resolver) != "function") {
+            throw new SequelizeFactoryConfigurationError(
+                "Tenant resolver should be a function."
+            );
+        }
+
+        //  Load the options.
+        let max;
+        let idleTTL;
+        let closeTimeout;
+        let wait;
+        let createOptions;
+        try {
+            let root = XRTLibTraverse.WrapObject(options)
+                                     .notNull()
+                                     .typeOf(Object);
+            max = root.optionalSub("max", DEFAULT_TENANT_MAX)
+                      .notNull()
+                      .integer()
+                      .min(1)
+                      .inner();
+            idleTTL = root.optionalSub("idle-ttl", DEFAULT_TENANT_IDLE_TTL)
+                          .notNull()
+                          .integer()
+                          .min(0)
+                          .inner();
+            closeTimeout = root.optionalSub(
+                                   "close-timeout", 
+                                   DEFAULT_SHUTDOWN_TIMEOUT
+                               )
+                               .notNull()
+                               .integer()
+                               .min(0)
+                               .inner();
+            wait = root.optionalSub("wait-for-authenticate", true)
+                       .notNull()
+                       .boolean()
+                       .inner();
+            createOptions = root.optionalSub("options", {})
+                                .notNull()
+                                .typeOf(Object)
+                                .inner();
+        } catch (error) {
+            throw new SequelizeFactoryConfigurationError(
+                Util.format(
+                    "Invalid tenant manager options. (error = \"%s\")",
+                    error.message || "Unknown error."
+                ),
+                null,
+                error
+            );
+        }
+
+        return new SequelizeTenantManager(
+            function(tenantCfg) {
+                return self.create(tenantCfg, wait, createOptions);
+            }, 
+            baseCfg, 
+            resolver, 
+            max, 
+            idleTTL, 
+            closeTimeout
+        );
+    };
+
+    /**
+     *  Create a migrator of a sequelize object created by this factory.
+     * 
+     *  @throws {SequelizeFactoryConfigurationError}
+     *      - Raised if the sequelize object was not created by this factory.
+     *  @param {Sequelize} sequelize 
+     *      - The sequelize object.
+     *  @return {SequelizeMigrator} 
+     *      - The migrator (uses the "migration" and "transaction" sections of 
+     *        the configuration).
+     */
+    this.createMigrator = function(sequelize) {
+        if (!configurations.has(sequelize)) {
+            throw new SequelizeFactoryConfigurationError(
+                "The sequelize object was not created by this factory."
+            );
+        }
+        let modelCfg = configurations.get(sequelize);
+        return new SequelizeMigrator(
+            sequelize, 
+            modelCfg.getMigrationConfiguration(), 
+            modelCfg.getTransactionConfiguration()
+        );
+    };
+
+    /**
+     *  Create a transaction manager of a sequelize object created by this 
+     *  factory.
+     * 
+     *  @throws {SequelizeFactoryConfigurationError}
+     *      - Raised if the sequelize object was not created by this factory.
+     *  @param {Sequelize} sequelize 
+     *      - The sequelize object.
+     *  @return {SequelizeTransactionManager} 
+     *      - The transaction manager (uses the "transaction" section of the 
+     *        configuration).
+     */
+    this.createTransactionManager = function(sequelize) {
+        if (!configurations.has(sequelize)) {
+            throw new SequelizeFactoryConfigurationError(
+                "The sequelize object was not created by this factory."
+            );
+        }
+        return new SequelizeTransactionManager(
+            sequelize, 
+            configurations.get(sequelize).getTransactionConfiguration()
+        );
+    };
+
+    /**
+     *  Get the health checker of a sequelize object created by this factory.
+     * 
+     *  Note(s):
+     *    [1] The same checker is returned for the same sequelize object, so 
+     *        that the last error is kept between checks.
+     * 
+     *  @throws {SequelizeFactoryConfigurationError}
+     *      - Raised if the sequelize object was not created by this factory.
+     *  @param {Sequelize} sequelize 
+     *      - The sequelize object.
+     *  @return {SequelizeHealthChecker} 
+     *      - The health checker (uses the "health" and "pool" sections of the 
+     *        configuration).
+     */
+    this.getHealthChecker = function(sequelize) {
+        if (!configurations.has(sequelize)) {
+            throw new SequelizeFactoryConfigurationError(
+                "The sequelize object was not created by this factory."
+            );
+        }
+        if (!healthCheckers.has(sequelize)) {
+            healthCheckers.set(sequelize, new SequelizeHealthChecker(
+                sequelize, 
+                configurations.get(sequelize)
+            ));
+        }
+        return healthCheckers.get(sequelize);
+    };
+
+    /**
+     *  Get the configuration of a sequelize object created by this factory.
+     * 
+     *  Note(s):
+     *    [1] Use toSafeObject() (or JSON.stringify(), util.inspect()) of the 
+     *        configuration to print it with credentials and key material 
+     *        redacted, and getOverrides() to print only the items that differ 
+     *        from the default configuration.
+     * 
+     *  @throws {SequelizeFactoryConfigurationError}
+     *      - Raised if the sequelize object was not created by this factory.
+     *  @param {Sequelize} sequelize 
+     *      - The sequelize object.
+     *  @return {ModelConfiguration} 
+     *      - The configuration.
+     */
+    this.getConfiguration = function(sequelize) {
+        if (!configurations.has(sequelize)) {
+            throw new SequelizeFactoryConfigurationError(
+                "The sequelize object was not created by this factory."
+            );
+        }
+        return configurations.get(sequelize);
+    };
+
+    /**
+     *  Load layered configuration files.
+     * 
+     *  Note(s):
+     *    [1] The base file and then the overlay file of each profile (like 
+     *        "database.production.json" of profile "production") are deep 
+     *        merged over the default configuration, overlay files that 
+     *        don't exist are skipped.
+     *    [2] The configuration is validated, errors of invalid items have 
+     *        the path of the file that gave the item in their messages.
+     *    [3] The returned raw configuration can be passed to create() 
+     *        directly.
+     * 
+     *  @throws {SequelizeFactoryConfigurationError}
+     *      - Raised if any file can't be read or parsed, or the 
+     *        configuration is invalid.
+     *  @param {String} file 
+     *      - The base file path (".json", ".yaml" or ".yml").
+     *  @param {String[]} [profiles] 
+     *      - The profile names (later profiles override earlier ones).
+     *  @param {Boolean} [strict] 
+     *      - True if unknown keys are rejected.
+     *  @return {{
+     *      raw: Object, 
+     *      sources: Object<String, String>, 
+     *      files: String[]
+     *  }} 
+     *      - The merged raw configuration, the file each leaf item (like 
+     *        "pool.max") came from and the files read.
+     */
+    this.loadConfiguration = function(file, profiles = [], strict = false) {
+        try {
+            let loaded = ModelConfiguration.ReadFiles(file, profiles);
+            ModelConfiguration.FromLoadedFiles(loaded, strict);
+            return loaded;
+        } catch (error) {
+            throw new SequelizeFactoryConfigurationError(
+                error.message || "Unknown error.",
+                (error instanceof ModelConfigurationError) ? error.path : null,
+                error,
+                (error instanceof ModelConfigurationError) ? error.errors : null
+            );
+        }
+    };
+
+    /**
+     *  Get the JSON Schema (draft 2020-12) of the configuration format.
+     * 
+     *  Note(s):
+     *    [1] The schema is generated from the same description that drives 
+     *        the configuration loaders, so it can be used by editors and 
+     *        configuration checks.
+     *    [2] Semantic and dialect-specific constraints (like "pool.min" not 
+     *        greater than "pool.max") are only checked when loading.
+     * 
+     *  @param {Boolean} [strict] 
+     *      - True if unknown keys (including camelCase aliases) are 
+     *        rejected.
+     *  @return {Object} 
+     *      - The JSON Schema.
+     */
+    this.getConfigurationSchema = function(strict = false) {
+        return ModelConfiguration.GetJSONSchema(strict);
+    };
+
+    /**
+     *  Get the pool and query metrics of sequelize objects created by this 
+     *  factory.
+     * 
+     *  Note(s):
+     *    [1] Metrics are labeled by the database name (or the storage if the 
+     *        dialect has no database name).
+     * 
+     *  @return {SequelizeMetrics} 
+     *      - The metrics.
+     */
+    this.getMetrics = function() {
+        return metrics;
+    };
 
     /**
      *  Create factory.
@@ -70,16 +870,83 @@ function SequelizeFactory() {
      *  @throws {SequelizeFactoryConfigurationError}
      *      - Raised if configuration is invalid.
      *  @throws {SequelizeFactoryAuthenticateError}
-     *      - Raised if sequelize authenticate was failed.
-     *  @param {Object} cfg 
-     *      - The configuration object.
+     *      - Raised if sequelize authenticate was failed after all attempts 
+     *        (one of its subclasses if the failure can be categorized, or 
+     *        SequelizeFactoryReplicationError if any replication endpoint 
+     *        failed).
+     *  @throws {SequelizeFactoryModelError}
+     *      - Raised if any model can't be loaded, defined or associated.
+     *  @throws {SequelizeFactorySyncError}
+     *      - Raised if sequelize.sync() failed.
+     *  @param {ModelConfiguration|Object|String} cfg 
+     *      - The configuration object (or the connection URI, or the loaded 
+     *        configuration like getConfiguration() returns).
      *  @param {Boolean} [waitForAuthenticate] 
      *      - True if wait for sequelize authenticate.
+     *  @param {Object} [options] 
+     *      - The factory options:
+     *          - environment (Boolean): True if overlay environment variables 
+     *            onto the configuration (default: false).
+     *          - environment-prefix (String): The environment variable prefix 
+     *            (default: "XAP_DB_").
+     *          - strict (Boolean): True if unknown configuration keys are 
+     *            rejected (default: false).
+     *          - models (Function[]|String): The model definers (like 
+     *            "function(sequelize, DataTypes)") or the directory of model 
+     *            modules (each exports a model definer). The models are 
+     *            defined and associated (by their associate() hooks) after 
+     *            authenticated, then synchronized if "sync.enabled" is true 
+     *            (default: null, no model).
      *  @return {Promise<Sequelize>} 
      *      - The promise object which resolves sequelize object or rejects if 
      *        occurred error.
      */
-    this.create = async function(cfg, waitForAuthenticate = true) {
+    this.create = async function(
+        cfg, 
+        waitForAuthenticate = true, 
+        options = {}
+    ) {
+        if (shutdown !== null) {
+            throw new SequelizeFactoryShutdownError(
+                "The factory was shut down."
+            );
+        }
+
+        //  Load the options.
+        let useEnvironment;
+        let environmentPrefix;
+        let strict;
+        let models;
+        try {
+            let root = XRTLibTraverse.WrapObject(options)
+                                     .notNull()
+                                     .typeOf(Object);
+            useEnvironment = root.optionalSub("environment", false)
+                                 .notNull()
+                                 .boolean()
+                                 .inner();
+            environmentPrefix = root.optionalSub("environment-prefix", 
+                                    DEFAULT_ENVIRONMENT_PREFIX)
+                                    .notNull()
+                                    .string()
+                                    .inner();
+            strict = root.optionalSub("strict", false)
+                         .notNull()
+                         .boolean()
+                         .inner();
+            models = root.optionalSub("models", null)
+                         .inner();
+        } catch (error) {
+            throw new SequelizeFactoryConfigurationError(
+                Util.format(
+                    "Invalid factory options. (error = \"%s\")",
+                    error.message || "Unknown error."
+                ),
+                null,
+                error
+            );
+        }
+
         /**
          *  Model configuration.
          * 
@@ -87,30 +954,405 @@ function SequelizeFactory() {
          */
         let modelCfg;
         try {
-            //  Load the model configuration.
-            modelCfg = ModelConfiguration.From(cfg);
+            //  Load the model configuration (a loaded configuration is used 
+            //  as is unless environment variables are overlaid).
+            if (useEnvironment) {
+                modelCfg = ModelConfiguration.FromEnvironment(
+                    (
+                        cfg instanceof ModelConfiguration ? 
+                        cfg.getExplicitRaw() : 
+                        cfg
+                    ), 
+                    environmentPrefix, 
+                    process.env, 
+                    strict
+                );
+            } else if (cfg instanceof ModelConfiguration) {
+                modelCfg = cfg;
+            } else {
+                modelCfg = ModelConfiguration.From(cfg, strict);
+            }
         } catch (error) {
-            throw new SequelizeFactoryConfigurationError(error);
+            throw new SequelizeFactoryConfigurationError(
+                error.message || "Unknown error.",
+                (error instanceof ModelConfigurationError) ? error.path : null,
+                error,
+                (error instanceof ModelConfigurationError) ? error.errors : null
+            );
+        }
+
+        //  Check the driver package.
+        CheckDialectDriver(modelCfg.getDialect());
+
+        //  Refuse to drop tables unless the environment allows.
+        let syncCfg = modelCfg.getSyncConfiguration();
+        if (syncCfg.getForce() && !IsSyncForceAllowed(environmentPrefix)) {
+            throw new SequelizeFactoryConfigurationError(
+                Util.format(
+                    "\"sync.force\" drops all tables, set environment " + 
+                    "variable \"%s\" to \"1\" to allow it.",
+                    environmentPrefix + SYNC_FORCE_GUARD_NAME
+                ),
+                "sync.force"
+            );
         }
 
+        //  Load the model definers.
+        let definers = (models === null ? [] : LoadModelDefiners(models));
+
         //  Create the new sequelize.
-        let sequelize = new Sequelize(modelCfg.toObject());
+        let sequelize = new Sequelize(GetSequelizeOptions(modelCfg));
+        InstallTransactionDefaults(
+            sequelize, 
+            modelCfg.getDialect(), 
+            modelCfg.getTransactionConfiguration()
+        );
 
         if (waitForAuthenticate) {
             //  Wait for authenticate.
             try {
-                await sequelize.authenticate();
+                if (modelCfg.getReplicationConfiguration() === null) {
+                    await AuthenticateWithRetry(
+                        sequelize, 
+                        modelCfg.getAuthenticateConfiguration()
+                    );
+                } else {
+                    await AuthenticateReplication(modelCfg);
+                }
             } catch (error) {
-                throw new SequelizeFactoryAuthenticateError(error.message);
+                //  Release the connections (may be still connecting if the 
+                //  deadline exceeded).
+                try {
+                    await sequelize.close();
+                } catch (_error) {
+                    //  Ignore.
+                }
+                throw error;
+            }
+        }
+
+        //  Define and synchronize the models.
+        try {
+            DefineModels(sequelize, definers);
+            if (syncCfg.getEnabled()) {
+                await SyncModels(sequelize, syncCfg);
+            }
+        } catch (error) {
+            try {
+                await sequelize.close();
+            } catch (_error) {
+                //  Ignore.
+            }
+            throw error;
+        }
+        configurations.set(sequelize, modelCfg);
+
+        //  Refuse if the factory was shut down while creating.
+        if (shutdown !== null) {
+            try {
+                await sequelize.close();
+            } catch (_error) {
+                //  Ignore.
             }
+            throw new SequelizeFactoryShutdownError(
+                "The factory was shut down."
+            );
         }
 
+        //  Track the sequelize object until it's closed.
+        let close = sequelize.close;
+        sequelize.close = function() {
+            tracked.delete(sequelize);
+            return close.apply(sequelize, arguments);
+        };
+        tracked.add(sequelize);
+
+        //  Collect the metrics.
+        metrics.instrument(
+            sequelize, 
+            modelCfg.getDatabase() || modelCfg.getStorage() || "", 
+            modelCfg.getPoolConfiguration().getMax()
+        );
+
         return sequelize;
     };
+
+    /**
+     *  Shut down the factory and close all created sequelize objects.
+     * 
+     *  Note(s):
+     *    [1] After calling this method, creating (or getting registered) 
+     *        databases is refused.
+     *    [2] Each sequelize object refuses new connections immediately, and 
+     *        waits for in-use connections (active queries and transactions) 
+     *        to be released until the time limit exceeded, then stops 
+     *        waiting (the connections still in use are counted as closed 
+     *        forcibly, they are closed once released).
+     *    [3] Calling this method again returns the same promise.
+     * 
+     *  @throws {SequelizeFactoryConfigurationError}
+     *      - Raised if the options are invalid.
+     *  @param {Object} [options]
+     *      - The options:
+     *          - timeout (Number): The time limit, in milliseconds (default: 
+     *            10000).
+     *  @return {Promise<{instances: Number, clean: Number, forced: Number}>}
+     *      - The promise object which resolves with the count of closed 
+     *        sequelize objects, connections closed cleanly and connections 
+     *        closed forcibly.
+     */
+    this.shutdown = function(options = {}) {
+        if (shutdown !== null) {
+            return shutdown;
+        }
+        let timeout;
+        try {
+            timeout = XRTLibTraverse.WrapObject(options)
+                                    .notNull()
+                                    .typeOf(Object)
+                                    .optionalSub(
+                                        "timeout", 
+                                        DEFAULT_SHUTDOWN_TIMEOUT
+                                    )
+                                    .notNull()
+                                    .integer()
+                                    .min(0)
+                                    .inner();
+        } catch (error) {
+            return Promise.reject(new SequelizeFactoryConfigurationError(
+                Util.format(
+                    "Invalid shutdown options. (error = \"%s\")",
+                    error.message || "Unknown error."
+                ),
+                null,
+                error
+            ));
+        }
+        shutdown = (async function() {
+            let closing = Array.from(tracked);
+            instances.clear();
+            let results = await Promise.all(closing.map(function(sequelize) {
+                return CloseWithTimeout(sequelize, timeout);
+            }));
+            let rst = {
+                "instances": closing.length,
+                "clean": 0,
+                "forced": 0
+            };
+            results.forEach(function(result) {
+                rst["clean"] += result["clean"];
+                rst["forced"] += result["forced"];
+            });
+            return rst;
+        })();
+        return shutdown;
+    };
+
+    /**
+     *  Install process signal handlers that shut down the factory.
+     * 
+     *  Note(s):
+     *    [1] When one of the signals is received, the factory is shut down 
+     *        and a record like:
+     *          {
+     *              "message": "Shutdown completed.",
+     *              "signal": "SIGTERM",
+     *              "instances": 1,
+     *              "clean": 4,
+     *              "forced": 1
+     *          }
+     *        is emitted to the logger ("warn" level if any connection was 
+     *        closed forcibly, otherwise "info" level).
+     *    [2] If "exit" is true, the handlers are removed and the signal is 
+     *        raised again after shutting down, so that the process exits 
+     *        like no handler was installed (unless other handlers exist).
+     *    [3] If "exit" is false, the signals received after the first one 
+     *        are ignored (the shutdown is logged once).
+     * 
+     *  @throws {SequelizeFactoryConfigurationError}
+     *      - Raised if the options are invalid.
+     *  @param {Object} [options]
+     *      - The options:
+     *          - timeout (Number): The time limit, in milliseconds (default: 
+     *            10000).
+     *          - signals (String[]): The signals (default: ["SIGINT", 
+     *            "SIGTERM"]).
+     *          - exit (Boolean): True if exit after shutting down (default: 
+     *            true).
+     *          - logger (Object): The logger target with info() and warn() 
+     *            methods (default: none, the record is dropped).
+     *  @return {() => void}
+     *      - The function that removes the handlers.
+     */
+    this.installSignalHandlers = function(options = {}) {
+        //  Load the options.
+        let timeout;
+        let signals = [];
+        let exit;
+        let logger;
+        try {
+            let root = XRTLibTraverse.WrapObject(options)
+                                     .notNull()
+                                     .typeOf(Object);
+            timeout = root.optionalSub("timeout", DEFAULT_SHUTDOWN_TIMEOUT)
+                          .notNull()
+                          .integer()
+                          .min(0)
+                          .inner();
+            root.optionalSub("signals", DEFAULT_SHUTDOWN_SIGNALS)
+                .notNull()
+                .typeOf(Array)
+                .arrayMinLength(1)
+                .arrayForEach(function(item) {
+                    signals.push(item.notNull().string().inner());
+                });
+            exit = root.optionalSub("exit", true)
+                       .notNull()
+                       .boolean()
+                       .inner();
+            logger = root.optionalSub("logger", NULL_SHUTDOWN_LOGGER)
+                         .notNull()
+                         .customRule(function(value) {
+                             return (
+                                 typeof(value.info) == "function" &&
+                                 typeof(value.warn) == "function"
+                             );
+                         })
+                         .inner();
+        } catch (error) {
+            throw new SequelizeFactoryConfigurationError(
+                Util.format(
+                    "Invalid signal handler options. (error = \"%s\")",
+                    error.message || "Unknown error."
+                ),
+                null,
+                error
+            );
+        }
+
+        //  True if a signal was received.
+        let received = false;
+
+        /**
+         *  Remove the handlers.
+         */
+        function _Uninstall() {
+            signals.forEach(function(signal) {
+                process.removeListener(signal, _OnSignal);
+            });
+        }
+
+        /**
+         *  Handle a signal.
+         * 
+         *  @param {String} signal - The signal.
+         */
+        function _OnSignal(signal) {
+            if (received) {
+                return;
+            }
+            received = true;
+            if (exit) {
+                _Uninstall();
+            }
+            self.shutdown({
+                "timeout": timeout
+            }).then(function(result) {
+                let record = Object.assign({
+                    "message": "Shutdown completed.",
+                    "signal": signal
+                }, result);
+                if (result["forced"] != 0) {
+                    logger.warn(record);
+                } else {
+                    logger.info(record);
+                }
+            }, function(error) {
+                logger.warn({
+                    "message": "Shutdown failed.",
+                    "signal": signal,
+                    "error": error.message || "Unknown error."
+                });
+            }).then(function() {
+                if (exit) {
+                    process.kill(process.pid, signal);
+                }
+            });
+        }
+
+        signals.forEach(function(signal) {
+            process.on(signal, _OnSignal);
+        });
+
+        return _Uninstall;
+    };
 }
 
+/**
+ *  Set the configuration defaults (organization-wide) of all factories.
+ * 
+ *  Note(s):
+ *    [1] The defaults (a JSON or YAML file path, or a configuration object 
+ *        with kebab-case keys) are deep merged over the built-in defaults, 
+ *        so that they only need to contain the items to be changed.
+ *    [2] The defaults are read and validated once, then shared by all later 
+ *        loads. Call this function again to pick up the changes of the file.
+ *    [3] Configurations loaded (and sequelize objects created) before keep 
+ *        their values.
+ *    [4] On failure, the previous defaults are kept.
+ * 
+ *  @throws {SequelizeFactoryConfigurationError}
+ *      - Raised if the defaults can't be read or are invalid.
+ *  @param {?(String|Object)} [source] 
+ *      - The file path or the configuration object (NULL to restore the 
+ *        built-in defaults).
+ */
+SequelizeFactory.SetConfigurationDefaults = function(source = null) {
+    try {
+        ModelConfiguration.SetDefaults(source);
+    } catch (error) {
+        throw new SequelizeFactoryConfigurationError(
+            error.message || "Unknown error.",
+            (error instanceof ModelConfigurationError) ? error.path : null,
+            error,
+            (error instanceof ModelConfigurationError) ? error.errors : null
+        );
+    }
+};
+
+/**
+ *  Get the configuration defaults of all factories.
+ * 
+ *  @return {Object} 
+ *      - The raw configuration (deep-frozen, copy it before making changes).
+ */
+SequelizeFactory.GetConfigurationDefaults = function() {
+    return ModelConfiguration.GetDefaults();
+};
+
 //  Export public APIs.
 module.exports = {
     "Sequelize": Sequelize,
-    "SequelizeFactory": SequelizeFactory
+    "SequelizeFactory": SequelizeFactory,
+    "SequelizeFactoryError": CrError.SequelizeFactoryError,
+    "SequelizeFactoryConfigurationError": 
+        CrError.SequelizeFactoryConfigurationError,
+    "SequelizeFactoryAuthenticateError": 
+        CrError.SequelizeFactoryAuthenticateError,
+    "SequelizeFactoryHostUnreachableError": 
+        CrError.SequelizeFactoryHostUnreachableError,
+    "SequelizeFactoryAccessDeniedError": 
+        CrError.SequelizeFactoryAccessDeniedError,
+    "SequelizeFactoryUnknownDatabaseError": 
+        CrError.SequelizeFactoryUnknownDatabaseError,
+    "SequelizeFactoryTimeoutError": CrError.SequelizeFactoryTimeoutError,
+    "SequelizeFactoryReplicationError": 
+        CrError.SequelizeFactoryReplicationError,
+    "SequelizeFactoryModelError": CrError.SequelizeFactoryModelError,
+    "SequelizeFactorySyncError": CrError.SequelizeFactorySyncError,
+    "SequelizeFactoryMigrationError": 
+        CrError.SequelizeFactoryMigrationError,
+    "SequelizeFactoryTransactionError": 
+        CrError.SequelizeFactoryTransactionError,
+    "SequelizeFactoryShutdownError": CrError.SequelizeFactoryShutdownError
 };
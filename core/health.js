@@ -0,0 +1,305 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const CrPool = require("./pool");
+const Sequelize = require("sequelize");
+const Util = require("util");
+
+//  Imported functions.
+const GetConnectionPools = CrPool.GetConnectionPools;
+const GetPoolStatistics = CrPool.GetPoolStatistics;
+
+//
+//  Constants.
+//
+
+//  Health statuses.
+const STATUS_HEALTHY = "healthy";
+const STATUS_DEGRADED = "degraded";
+const STATUS_UNHEALTHY = "unhealthy";
+
+//  Query that pings the read replicas.
+const READ_PING_QUERY = "SELECT 1";
+
+//
+//  Private functions.
+//
+
+/**
+ *  Run a ping with time limit and measure its latency.
+ * 
+ *  @param {() => Promise<*>} ping
+ *      - The ping.
+ *  @param {Number} timeout
+ *      - The time limit, in milliseconds.
+ *  @return {Promise<{value: *, latency: Number}>}
+ *      - The promise object (resolves with the value that the ping resolved
+ *        and the latency in milliseconds, or rejects with an "ETIMEDOUT"
+ *        error if timed out).
+ */
+function Ping(ping, timeout) {
+    let started = Date.now();
+    return new Promise(function(resolve, reject) {
+        let timer = setTimeout(function() {
+            let error = new Error("Ping timed out.");
+            error.code = "ETIMEDOUT";
+            reject(error);
+        }, timeout);
+        Promise.resolve().then(ping).then(function(value) {
+            clearTimeout(timer);
+            resolve({
+                "value": value,
+                "latency": Date.now() - started
+            });
+        }, function(error) {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+/**
+ *  Describe an error.
+ * 
+ *  @param {*} error - The error.
+ *  @return {{message: String, code: ?String, time: String}} - The
+ *                                                             description.
+ */
+function DescribeError(error) {
+    let code = null;
+    if (error && error.code) {
+        code = String(error.code);
+    } else if (error && error.parent && error.parent.code) {
+        code = String(error.parent.code);
+    }
+    return {
+        "message": (error && error.message) || "Unknown error.",
+        "code": code,
+        "time": new Date().toISOString()
+    };
+}
+
+//
+//  Classes.
+//
+
+/**
+ *  Sequelize health checker.
+ * 
+ *  @constructor
+ *  @param {Sequelize} sequelize
+ *      - The sequelize object.
+ *  @param {ModelConfiguration} modelCfg
+ *      - The model configuration.
+ */
+function SequelizeHealthChecker(sequelize, modelCfg) {
+    //
+    //  Members.
+    //
+
+    //  Self reference.
+    let self = this;
+
+    //  Health configuration.
+    let healthCfg = modelCfg.getHealthConfiguration();
+
+    //  Pool configuration.
+    let poolCfg = modelCfg.getPoolConfiguration();
+
+    //  Last error (NULL if no error occurred yet).
+    let lastError = null;
+
+    //
+    //  Public methods.
+    //
+
+    /**
+     *  Check the health.
+     * 
+     *  Note(s):
+     *    [1] The report is like:
+     *          {
+     *              "status": "degraded",
+     *              "reasons": ["Ping latency 250ms exceeds 200ms."],
+     *              "database": "xxx",
+     *              "dialect": "mysql",
+     *              "latency": 250,
+     *              "version": "8.0.23",
+     *              "pool": {
+     *                  "size": 5,
+     *                  "available": 0,
+     *                  "using": 5,
+     *                  "waiting": 3,
+     *                  "max": 5,
+     *                  "min": 0
+     *              },
+     *              "replication": null,
+     *              "error": null,
+     *              "time": "2021-01-01T00:00:00.000Z"
+     *          }
+     *        where "latency" and "version" are NULL if the ping failed,
+     *        "pool" is the write pool if replication is enabled, and "error"
+     *        is the last error (of any check, with the time it occurred).
+     *    [2] If replication is enabled, "replication" is like:
+     *          {
+     *              "latency": 12,
+     *              "pool": {...},
+     *              "error": null
+     *          }
+     *        where "latency" is the ping latency of the read replicas (NULL
+     *        if failed) and "error" is the error of this check.
+     *    [3] The status is "unhealthy" if the ping failed (or timed out),
+     *        "degraded" if any threshold was reached or the read replicas
+     *        failed, otherwise "healthy".
+     * 
+     *  @return {Promise<Object>}
+     *      - The promise object (resolves with the report, never rejects).
+     */
+    this.check = async function() {
+        let status = STATUS_HEALTHY;
+        let reasons = [];
+        let pools = GetConnectionPools(sequelize);
+        let writePool = pools[pools.length - 1];
+        let timeout = healthCfg.getTimeout();
+
+        //  Ping the database.
+        let latency = null;
+        let version = null;
+        try {
+            let rst = await Ping(function() {
+                return sequelize.databaseVersion();
+            }, timeout);
+            latency = rst["latency"];
+            version = rst["value"];
+        } catch (error) {
+            lastError = DescribeError(error);
+            status = STATUS_UNHEALTHY;
+            reasons.push(Util.format("Ping failed: %s", lastError["message"]));
+        }
+
+        //  Check the latency.
+        let degradedLatency = healthCfg.getDegradedLatency();
+        if (latency !== null && degradedLatency > 0 &&
+            latency >= degradedLatency) {
+            reasons.push(Util.format(
+                "Ping latency %dms exceeds %dms.",
+                latency,
+                degradedLatency
+            ));
+        }
+
+        //  Check the pool.
+        let pool = null;
+        if (writePool) {
+            pool = GetPoolStatistics(writePool, poolCfg);
+            let usage = pool["using"] / pool["max"];
+            let degradedUsage = healthCfg.getDegradedPoolUsage();
+            if (degradedUsage > 0 && usage >= degradedUsage) {
+                reasons.push(Util.format(
+                    "Pool usage %d/%d reaches %d%%.",
+                    pool["using"],
+                    pool["max"],
+                    Math.round(degradedUsage * 100)
+                ));
+            }
+            let degradedWaiting = healthCfg.getDegradedPoolWaiting();
+            if (degradedWaiting > 0 && pool["waiting"] >= degradedWaiting) {
+                reasons.push(Util.format(
+                    "%d request(s) waiting for a connection.",
+                    pool["waiting"]
+                ));
+            }
+        }
+
+        //  Check the read replicas.
+        let replication = null;
+        if (modelCfg.getReplicationConfiguration() !== null) {
+            replication = {
+                "latency": null,
+                "pool": (
+                    pools.length > 1 ?
+                    GetPoolStatistics(pools[0], poolCfg) :
+                    null
+                ),
+                "error": null
+            };
+            try {
+                let rst = await Ping(function() {
+                    return sequelize.query(READ_PING_QUERY, {
+                        "type": Sequelize.QueryTypes.SELECT,
+                        "raw": true
+                    });
+                }, timeout);
+                replication["latency"] = rst["latency"];
+            } catch (error) {
+                lastError = DescribeError(error);
+                replication["error"] = lastError;
+                reasons.push(Util.format(
+                    "Read replica ping failed: %s",
+                    lastError["message"]
+                ));
+            }
+        }
+
+        if (status == STATUS_HEALTHY && reasons.length != 0) {
+            status = STATUS_DEGRADED;
+        }
+
+        return {
+            "status": status,
+            "reasons": reasons,
+            "database": modelCfg.getDatabase(),
+            "dialect": modelCfg.getDialect(),
+            "latency": latency,
+            "version": version,
+            "pool": pool,
+            "replication": replication,
+            "error": lastError,
+            "time": new Date().toISOString()
+        };
+    };
+
+    /**
+     *  Create an HTTP handler that responds the health report as JSON.
+     * 
+     *  Note(s):
+     *    [1] The handler can be used with "http.createServer()" (or as an
+     *        Express-like route handler).
+     *    [2] The status code is 503 if the status is "unhealthy", otherwise
+     *        200.
+     * 
+     *  @return {(request: http.IncomingMessage,
+     *            response: http.ServerResponse) => Promise<void>}
+     *      - The handler.
+     */
+    this.createHttpHandler = function() {
+        return async function(request, response) {
+            let report = await self.check();
+            let body = JSON.stringify(report);
+            response.statusCode = (
+                report["status"] == STATUS_UNHEALTHY ? 503 : 200
+            );
+            response.setHeader("Content-Type", "application/json");
+            response.setHeader("Cache-Control", "no-store");
+            response.end(body);
+        };
+    };
+}
+
+//  Health statuses.
+SequelizeHealthChecker.STATUS_HEALTHY = STATUS_HEALTHY;
+SequelizeHealthChecker.STATUS_DEGRADED = STATUS_DEGRADED;
+SequelizeHealthChecker.STATUS_UNHEALTHY = STATUS_UNHEALTHY;
+
+//  Export public APIs.
+module.exports = {
+    "SequelizeHealthChecker": SequelizeHealthChecker
+};
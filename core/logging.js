@@ -0,0 +1,206 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Constants.
+//
+
+//  Logging levels (ordered by severity).
+const LEVELS = ["debug", "info", "warn"];
+
+//  Text that replaces redacted values.
+const REDACTED = "[REDACTED]";
+
+//  Pattern of Sequelize query log messages.
+const QUERY_MESSAGE_PATTERN = /^Execut(ing|ed) \(([^)]*)\): ([\s\S]*)$/;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Replace all occurrences of secrets in a text.
+ * 
+ *  Note(s):
+ *    [1] The escaped forms of the secrets (like SQL string literals) are also
+ *        replaced.
+ * 
+ *  @param {String} text - The text.
+ *  @param {String[]} secrets - The secrets.
+ *  @return {String} - The redacted text.
+ */
+function RedactSecrets(text, secrets) {
+    secrets.forEach(function(secret) {
+        [
+            secret,
+            secret.replace(/\\/g, "\\\\").replace(/'/g, "\\'"),
+            secret.replace(/'/g, "''")
+        ].forEach(function(form) {
+            text = text.split(form).join(REDACTED);
+        });
+    });
+    return text;
+}
+
+/**
+ *  Redact the bound parameters of a query.
+ * 
+ *  @param {Array|Object} bind - The bound parameters.
+ *  @param {Boolean} redactAll - True if redact all parameters (otherwise
+ *                               only parameters that equal to a secret).
+ *  @param {String[]} secrets - The secrets.
+ *  @return {Array|Object} - The redacted parameters.
+ */
+function RedactParameters(bind, redactAll, secrets) {
+    /**
+     *  Redact one parameter.
+     * 
+     *  @param {*} value - The parameter.
+     *  @return {*} - The redacted parameter.
+     */
+    function _Redact(value) {
+        if (redactAll || secrets.indexOf(value) >= 0) {
+            return REDACTED;
+        }
+        return value;
+    }
+
+    if (Array.isArray(bind)) {
+        return bind.map(_Redact);
+    }
+    let rst = {};
+    for (let key in bind) {
+        rst[key] = _Redact(bind[key]);
+    }
+    return rst;
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  Get the secrets that must never appear in logs.
+ * 
+ *  @param {ModelConfiguration} modelCfg - The model configuration.
+ *  @return {String[]} - The secrets (passwords of all endpoints).
+ */
+function GetLoggingSecrets(modelCfg) {
+    let secrets = [modelCfg.getPassword()];
+    let replicationCfg = modelCfg.getReplicationConfiguration();
+    if (replicationCfg !== null) {
+        secrets.push(replicationCfg.getWriteConfiguration().getPassword());
+        replicationCfg.getReadConfigurations().forEach(function(readCfg) {
+            secrets.push(readCfg.getPassword());
+        });
+    }
+    return secrets.filter(function(secret, index) {
+        return (
+            typeof(secret) == "string" &&
+            secret.length != 0 &&
+            secrets.indexOf(secret) == index
+        );
+    });
+}
+
+/**
+ *  Create the Sequelize "logging" option that emits structured records.
+ * 
+ *  Note(s):
+ *    [1] Each query emits one record like:
+ *          {
+ *              "message": "Executed query.",
+ *              "sql": "SELECT ...",
+ *              "duration": 12,
+ *              "slow": false,
+ *              "connection": "default",
+ *              "database": "xxx",
+ *              "parameters": ["[REDACTED]"]
+ *          }
+ *        where "duration" is NULL if benchmark is disabled, "connection" is
+ *        the connection (transaction) ID reported by Sequelize ("default"
+ *        for connections from the pool) and "parameters" only exists if
+ *        there are bound parameters.
+ *    [2] Queries are logged at "debug" level, slow queries at "warn" level,
+ *        other Sequelize messages at "info" level.
+ *    [3] The passwords never appear in records.
+ * 
+ *  @param {ModelConfiguration} modelCfg
+ *      - The model configuration.
+ *  @return {Function|Boolean}
+ *      - The logging option (false if logging is disabled).
+ */
+function CreateQueryLogger(modelCfg) {
+    let loggingCfg = modelCfg.getLoggingConfiguration();
+    if (!loggingCfg.getEnabled()) {
+        return false;
+    }
+    let logger = loggingCfg.getLogger();
+    if (logger === null) {
+        logger = console;
+    }
+    let minLevel = LEVELS.indexOf(loggingCfg.getLevel());
+    let slowQuery = loggingCfg.getSlowQuery();
+    let redactAll = loggingCfg.getRedactParameters();
+    let database = modelCfg.getDatabase();
+    let secrets = GetLoggingSecrets(modelCfg);
+
+    return function(message, duration, options) {
+        if (typeof(duration) != "number") {
+            options = duration;
+            duration = null;
+        }
+        message = RedactSecrets(String(message), secrets);
+
+        //  Build the record.
+        let level;
+        let record;
+        let matched = QUERY_MESSAGE_PATTERN.exec(message);
+        if (matched !== null) {
+            let slow = (
+                slowQuery > 0 &&
+                duration !== null &&
+                duration >= slowQuery
+            );
+            level = (slow ? "warn" : "debug");
+            record = {
+                "message": (
+                    matched[1] == "ed" ? "Executed query." : "Executing query."
+                ),
+                "sql": matched[3],
+                "duration": duration,
+                "slow": slow,
+                "connection": matched[2],
+                "database": database
+            };
+            let bind = (options && options.bind) || null;
+            if (bind !== null && typeof(bind) == "object") {
+                record["parameters"] = RedactParameters(
+                    bind,
+                    redactAll,
+                    secrets
+                );
+            }
+        } else {
+            level = "info";
+            record = {
+                "message": message,
+                "database": database
+            };
+        }
+
+        //  Emit the record.
+        if (LEVELS.indexOf(level) >= minLevel) {
+            logger[level](record);
+        }
+    };
+}
+
+//  Export public APIs.
+module.exports = {
+    "CreateQueryLogger": CreateQueryLogger,
+    "GetLoggingSecrets": GetLoggingSecrets
+};
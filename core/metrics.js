@@ -0,0 +1,556 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const CrPool = require("./pool");
+const Events = require("events");
+const Sequelize = require("sequelize");
+const Util = require("util");
+
+//  Imported functions.
+const GetConnectionPools = CrPool.GetConnectionPools;
+
+//
+//  Constants.
+//
+
+//  Histogram buckets (upper bounds, in seconds).
+const DURATION_BUCKETS = [
+    0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10
+];
+
+//  Operation of queries without a type.
+const DEFAULT_OPERATION = "raw";
+
+//  Error code of errors without a code.
+const UNKNOWN_ERROR_CODE = "UNKNOWN";
+
+//
+//  Private functions.
+//
+
+/**
+ *  Escape a Prometheus label value.
+ * 
+ *  @param {String} value - The value.
+ *  @return {String} - The escaped value.
+ */
+function EscapeLabelValue(value) {
+    return String(value).replace(/\\/g, "\\\\")
+                        .replace(/\n/g, "\\n")
+                        .replace(/"/g, "\\\"");
+}
+
+/**
+ *  Format Prometheus labels.
+ * 
+ *  @param {Object<String, String>} labels - The labels.
+ *  @return {String} - The formatted labels (like '{a="1",b="2"}').
+ */
+function FormatLabels(labels) {
+    let items = Object.keys(labels).map(function(name) {
+        return Util.format("%s=\"%s\"", name, EscapeLabelValue(labels[name]));
+    });
+    return "{" + items.join(",") + "}";
+}
+
+/**
+ *  Get the error code of a query error.
+ * 
+ *  @param {*} error - The error.
+ *  @return {String} - The code (the driver error code if exists, otherwise
+ *                     the error name).
+ */
+function GetErrorCode(error) {
+    if (error === null || typeof(error) != "object") {
+        return UNKNOWN_ERROR_CODE;
+    }
+    let cause = error.parent || error.original || null;
+    if (cause !== null && cause.code) {
+        return String(cause.code);
+    }
+    if (error.code) {
+        return String(error.code);
+    }
+    return error.name || UNKNOWN_ERROR_CODE;
+}
+
+//
+//  Classes.
+//
+
+/**
+ *  Counter metric.
+ * 
+ *  @constructor
+ */
+function Counter() {
+    //
+    //  Members.
+    //
+
+    //  Values (label key => {labels, value}).
+    let values = new Map();
+
+    //
+    //  Public methods.
+    //
+
+    /**
+     *  Increase the counter.
+     * 
+     *  @param {Object<String, String>} labels - The labels.
+     */
+    this.inc = function(labels) {
+        let key = FormatLabels(labels);
+        if (!values.has(key)) {
+            values.set(key, {
+                "labels": labels,
+                "value": 0
+            });
+        }
+        ++values.get(key)["value"];
+    };
+
+    /**
+     *  Get the samples.
+     * 
+     *  @return {Array<{labels: Object, value: Number}>} - The samples.
+     */
+    this.samples = function() {
+        return Array.from(values.values());
+    };
+}
+
+/**
+ *  Histogram metric.
+ * 
+ *  @constructor
+ *  @param {Number[]} buckets - The bucket upper bounds (ascending).
+ */
+function Histogram(buckets) {
+    //
+    //  Members.
+    //
+
+    //  Values (label key => {labels, counts, sum, count}).
+    let values = new Map();
+
+    //
+    //  Public methods.
+    //
+
+    /**
+     *  Observe a value.
+     * 
+     *  @param {Object<String, String>} labels - The labels.
+     *  @param {Number} value - The value.
+     */
+    this.observe = function(labels, value) {
+        let key = FormatLabels(labels);
+        if (!values.has(key)) {
+            values.set(key, {
+                "labels": labels,
+                "counts": buckets.map(function() {
+                    return 0;
+                }),
+                "sum": 0,
+                "count": 0
+            });
+        }
+        let item = values.get(key);
+        for (let i = 0; i < buckets.length; ++i) {
+            if (value <= buckets[i]) {
+                ++item["counts"][i];
+                break;
+            }
+        }
+        item["sum"] += value;
+        ++item["count"];
+    };
+
+    /**
+     *  Get the samples.
+     * 
+     *  @return {Array<{
+     *      labels: Object,
+     *      buckets: Array<{le: Number, count: Number}>,
+     *      sum: Number,
+     *      count: Number
+     *  }>}
+     *      - The samples (bucket counts are cumulative).
+     */
+    this.samples = function() {
+        return Array.from(values.values()).map(function(item) {
+            let cumulative = 0;
+            return {
+                "labels": item["labels"],
+                "buckets": buckets.map(function(le, index) {
+                    cumulative += item["counts"][index];
+                    return {
+                        "le": le,
+                        "count": cumulative
+                    };
+                }),
+                "sum": item["sum"],
+                "count": item["count"]
+            };
+        });
+    };
+}
+
+/**
+ *  Sequelize metrics.
+ * 
+ *  Note(s):
+ *    [1] Following events are emitted:
+ *          - "acquire": A connection was acquired (or timed out), with
+ *            {database, duration, timeout} where "duration" is the wait
+ *            time in milliseconds.
+ *          - "query": A query completed (or failed), with {database,
+ *            operation, duration, error} where "operation" is the lower-
+ *            cased query type (like "select") and "error" is the error code
+ *            (NULL if succeeded).
+ *    [2] All metrics are labeled by the database name.
+ *    [3] Errors raised by the listeners are ignored.
+ * 
+ *  @constructor
+ *  @extends {EventEmitter}
+ */
+function SequelizeMetrics() {
+    //  Let parent class initialize.
+    Events.EventEmitter.call(this);
+
+    //
+    //  Members.
+    //
+
+    //  Self reference.
+    let self = this;
+
+    //  Instrumented sequelize objects (Sequelize => {database, max}).
+    let instruments = new Map();
+
+    //  Metrics.
+    let acquireDuration = new Histogram(DURATION_BUCKETS);
+    let acquireTimeouts = new Counter();
+    let queryDuration = new Histogram(DURATION_BUCKETS);
+    let queryErrors = new Counter();
+
+    //
+    //  Private functions.
+    //
+
+    /**
+     *  Emit an event (errors raised by the listeners are ignored, so that 
+     *  they don't affect the measured connection or query).
+     * 
+     *  @param {String} event - The event.
+     *  @param {Object} record - The record.
+     */
+    function _Emit(event, record) {
+        try {
+            self.emit(event, record);
+        } catch (error) {
+            //  Ignore.
+        }
+    }
+
+    //
+    //  Public methods.
+    //
+
+    /**
+     *  Instrument a sequelize object.
+     * 
+     *  Note(s):
+     *    [1] The sequelize object is no longer instrumented after closed.
+     * 
+     *  @param {Sequelize} sequelize
+     *      - The sequelize object.
+     *  @param {String} database
+     *      - The database name (label).
+     *  @param {Number} max
+     *      - The maximum connections of the pool.
+     */
+    this.instrument = function(sequelize, database, max) {
+        instruments.set(sequelize, {
+            "database": database,
+            "max": max
+        });
+
+        //  Measure connection acquisitions.
+        let connectionManager = sequelize.connectionManager;
+        let getConnection = connectionManager.getConnection;
+        connectionManager.getConnection = function() {
+            let started = Date.now();
+            return getConnection.apply(connectionManager, arguments).then(
+                function(connection) {
+                    let duration = Date.now() - started;
+                    acquireDuration.observe({
+                        "database": database
+                    }, duration / 1000);
+                    _Emit("acquire", {
+                        "database": database,
+                        "duration": duration,
+                        "timeout": false
+                    });
+                    return connection;
+                },
+                function(error) {
+                    let duration = Date.now() - started;
+                    if (
+                        error instanceof
+                        Sequelize.ConnectionAcquireTimeoutError
+                    ) {
+                        acquireTimeouts.inc({
+                            "database": database
+                        });
+                        _Emit("acquire", {
+                            "database": database,
+                            "duration": duration,
+                            "timeout": true
+                        });
+                    }
+                    throw error;
+                }
+            );
+        };
+
+        //  Measure queries.
+        let query = sequelize.query;
+        sequelize.query = function(sql, options) {
+            let operation = (
+                (options && options.type) ?
+                String(options.type).toLowerCase() :
+                DEFAULT_OPERATION
+            );
+            let started = Date.now();
+
+            /**
+             *  Record the query.
+             *
+             *  @param {?String} code - The error code (NULL if succeeded).
+             */
+            function _Record(code) {
+                let duration = Date.now() - started;
+                queryDuration.observe({
+                    "database": database,
+                    "operation": operation
+                }, duration / 1000);
+                if (code !== null) {
+                    queryErrors.inc({
+                        "database": database,
+                        "code": code
+                    });
+                }
+                _Emit("query", {
+                    "database": database,
+                    "operation": operation,
+                    "duration": duration,
+                    "error": code
+                });
+            }
+
+            return query.apply(sequelize, arguments).then(function(rst) {
+                _Record(null);
+                return rst;
+            }, function(error) {
+                _Record(GetErrorCode(error));
+                throw error;
+            });
+        };
+
+        //  Stop instrumenting after closed.
+        let close = sequelize.close;
+        sequelize.close = function() {
+            instruments.delete(sequelize);
+            return close.apply(sequelize, arguments);
+        };
+    };
+
+    /**
+     *  Serialize the metrics in Prometheus text format.
+     * 
+     *  @return {String} - The text.
+     */
+    this.toPrometheus = function() {
+        let lines = [];
+
+        /**
+         *  Write a histogram.
+         * 
+         *  @param {String} name - The metric name.
+         *  @param {String} help - The help text.
+         *  @param {Histogram} histogram - The histogram.
+         */
+        function _WriteHistogram(name, help, histogram) {
+            lines.push(Util.format("# HELP %s %s", name, help));
+            lines.push(Util.format("# TYPE %s histogram", name));
+            histogram.samples().forEach(function(sample) {
+                sample["buckets"].forEach(function(bucket) {
+                    lines.push(Util.format(
+                        "%s_bucket%s %d",
+                        name,
+                        FormatLabels(Object.assign({}, sample["labels"], {
+                            "le": String(bucket["le"])
+                        })),
+                        bucket["count"]
+                    ));
+                });
+                lines.push(Util.format(
+                    "%s_bucket%s %d",
+                    name,
+                    FormatLabels(Object.assign({}, sample["labels"], {
+                        "le": "+Inf"
+                    })),
+                    sample["count"]
+                ));
+                lines.push(Util.format(
+                    "%s_sum%s %s",
+                    name,
+                    FormatLabels(sample["labels"]),
+                    String(sample["sum"])
+                ));
+                lines.push(Util.format(
+                    "%s_count%s %d",
+                    name,
+                    FormatLabels(sample["labels"]),
+                    sample["count"]
+                ));
+            });
+        }
+
+        /**
+         *  Write a counter.
+         * 
+         *  @param {String} name - The metric name.
+         *  @param {String} help - The help text.
+         *  @param {Counter} counter - The counter.
+         */
+        function _WriteCounter(name, help, counter) {
+            lines.push(Util.format("# HELP %s %s", name, help));
+            lines.push(Util.format("# TYPE %s counter", name));
+            counter.samples().forEach(function(sample) {
+                lines.push(Util.format(
+                    "%s%s %d",
+                    name,
+                    FormatLabels(sample["labels"]),
+                    sample["value"]
+                ));
+            });
+        }
+
+        /**
+         *  Write a gauge.
+         * 
+         *  @param {String} name - The metric name.
+         *  @param {String} help - The help text.
+         *  @param {Map<String, Number>} values - The values (database =>
+         *                                        value).
+         */
+        function _WriteGauge(name, help, values) {
+            lines.push(Util.format("# HELP %s %s", name, help));
+            lines.push(Util.format("# TYPE %s gauge", name));
+            values.forEach(function(value, database) {
+                lines.push(Util.format(
+                    "%s%s %d",
+                    name,
+                    FormatLabels({
+                        "database": database
+                    }),
+                    value
+                ));
+            });
+        }
+
+        //  Collect the pool gauges (summed by database).
+        let gauges = {
+            "active": new Map(),
+            "idle": new Map(),
+            "waiting": new Map(),
+            "max": new Map()
+        };
+        instruments.forEach(function(instrument, sequelize) {
+            let database = instrument["database"];
+            let pools = GetConnectionPools(sequelize);
+            let values = {
+                "active": 0,
+                "idle": 0,
+                "waiting": 0,
+                "max": instrument["max"] * pools.length
+            };
+            pools.forEach(function(pool) {
+                values["active"] += pool.using;
+                values["idle"] += pool.available;
+                values["waiting"] += pool.waiting;
+            });
+            for (let name in gauges) {
+                gauges[name].set(
+                    database,
+                    (gauges[name].get(database) || 0) + values[name]
+                );
+            }
+        });
+
+        _WriteHistogram(
+            "sequelize_pool_acquire_duration_seconds",
+            "Time waited to acquire a connection.",
+            acquireDuration
+        );
+        _WriteCounter(
+            "sequelize_pool_acquire_timeouts_total",
+            "Connection acquisitions that timed out.",
+            acquireTimeouts
+        );
+        _WriteGauge(
+            "sequelize_pool_active_connections",
+            "Connections in use.",
+            gauges["active"]
+        );
+        _WriteGauge(
+            "sequelize_pool_idle_connections",
+            "Idle connections.",
+            gauges["idle"]
+        );
+        _WriteGauge(
+            "sequelize_pool_waiting_requests",
+            "Requests waiting for a connection.",
+            gauges["waiting"]
+        );
+        _WriteGauge(
+            "sequelize_pool_max_connections",
+            "Maximum connections of the pool.",
+            gauges["max"]
+        );
+        _WriteHistogram(
+            "sequelize_query_duration_seconds",
+            "Query duration by operation type.",
+            queryDuration
+        );
+        _WriteCounter(
+            "sequelize_query_errors_total",
+            "Failed queries by error code.",
+            queryErrors
+        );
+
+        return lines.join("\n") + "\n";
+    };
+}
+
+//
+//  Inheritances.
+//
+Util.inherits(SequelizeMetrics, Events.EventEmitter);
+
+//  Export public APIs.
+module.exports = {
+    "SequelizeMetrics": SequelizeMetrics
+};
@@ -0,0 +1,600 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const CrError = require("./error");
+const Crypto = require("crypto");
+const FS = require("fs");
+const OS = require("os");
+const Path = require("path");
+const Sequelize = require("sequelize");
+const Util = require("util");
+
+//  Imported classes.
+const SequelizeFactoryMigrationError = CrError.SequelizeFactoryMigrationError;
+
+//
+//  Constants.
+//
+
+//  Extension of migration module files.
+const MIGRATION_FILE_EXTENSION = ".js";
+
+//  ID of the migration lock row.
+const LOCK_ROW_ID = 1;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Wait for specific time.
+ * 
+ *  @param {Number} ms - The time, in milliseconds.
+ *  @return {Promise<void>} - The promise object (resolves when timed out).
+ */
+function Sleep(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+//
+//  Classes.
+//
+
+/**
+ *  Sequelize migrator.
+ * 
+ *  Note(s):
+ *    [1] Every ".js" file (sorted by name, not recursive) in the migration
+ *        directory is a migration, whose name is the file name. It exports
+ *        "up(queryInterface, Sequelize, transaction)" and
+ *        "down(queryInterface, Sequelize, transaction)".
+ *    [2] Each migration runs inside its own transaction (with the configured
+ *        transaction type and isolation level), queries of the migration
+ *        should be run with the transaction to be rolled back on failure.
+ *    [3] Executed migrations are recorded in the meta table (compatible with
+ *        the "SequelizeMeta" table of sequelize-cli).
+ *    [4] The lock row (in the lock table) prevents two processes from
+ *        migrating the same database at the same time.
+ * 
+ *  @constructor
+ *  @param {Sequelize} sequelize
+ *      - The sequelize object.
+ *  @param {ModelMigrationConfiguration} migrationCfg
+ *      - The migration configuration.
+ *  @param {ModelTransactionConfiguration} transactionCfg
+ *      - The transaction configuration.
+ */
+function SequelizeMigrator(sequelize, migrationCfg, transactionCfg) {
+    //
+    //  Members.
+    //
+
+    //  Query interface.
+    let queryInterface = sequelize.getQueryInterface();
+
+    //  Migration directory.
+    let directory = Path.resolve(migrationCfg.getDirectory());
+
+    //  Meta table name.
+    let table = migrationCfg.getTable();
+
+    //  Lock table name.
+    let lockTable = migrationCfg.getLockTable();
+
+    //  Lock owner (identifies this migrator).
+    let owner = Util.format(
+        "%s:%d:%s",
+        OS.hostname(),
+        process.pid,
+        Crypto.randomBytes(4).toString("hex")
+    );
+
+    //
+    //  Private functions.
+    //
+
+    /**
+     *  Load all migrations.
+     * 
+     *  @throws {SequelizeFactoryMigrationError}
+     *      - Raised if the directory can't be read or any migration is
+     *        invalid.
+     *  @return {Array<{name: String, up: Function, down: Function}>}
+     *      - The migrations (sorted by name).
+     */
+    function _LoadMigrations() {
+        let files;
+        try {
+            files = FS.readdirSync(directory);
+        } catch (error) {
+            throw new SequelizeFactoryMigrationError(
+                Util.format(
+                    "Read migration directory error. (directory = \"%s\", " +
+                    "error = \"%s\")",
+                    directory,
+                    error.message || "Unknown error."
+                ),
+                error
+            );
+        }
+        return files.filter(function(file) {
+            return (
+                !file.startsWith(".") &&
+                Path.extname(file) == MIGRATION_FILE_EXTENSION
+            );
+        }).sort().map(function(name) {
+            let migration;
+            try {
+                migration = require(Path.join(directory, name));
+            } catch (error) {
+                throw new SequelizeFactoryMigrationError(
+                    Util.format(
+                        "Load migration module error. (migration = \"%s\", " +
+                        "error = \"%s\")",
+                        name,
+                        error.message || "Unknown error."
+                    ),
+                    error,
+                    name
+                );
+            }
+            if (
+                migration === null ||
+                typeof(migration) != "object" ||
+                typeof(migration.up) != "function" ||
+                typeof(migration.down) != "function"
+            ) {
+                throw new SequelizeFactoryMigrationError(
+                    Util.format(
+                        "Migration module should export up() and down(). " +
+                        "(migration = \"%s\")",
+                        name
+                    ),
+                    null,
+                    name
+                );
+            }
+            return {
+                "name": name,
+                "up": migration.up,
+                "down": migration.down
+            };
+        });
+    }
+
+    /**
+     *  Create the meta table and the lock table (if not exist).
+     * 
+     *  @return {Promise<void>} - The promise object.
+     */
+    async function _PrepareTables() {
+        await queryInterface.createTable(table, {
+            "name": {
+                "type": Sequelize.STRING,
+                "allowNull": false,
+                "unique": true,
+                "primaryKey": true
+            }
+        });
+        await queryInterface.createTable(lockTable, {
+            "id": {
+                "type": Sequelize.INTEGER,
+                "allowNull": false,
+                "primaryKey": true
+            },
+            "owner": {
+                "type": Sequelize.STRING,
+                "allowNull": false
+            },
+            "acquired": {
+                "type": Sequelize.BIGINT,
+                "allowNull": false
+            }
+        });
+    }
+
+    /**
+     *  Read the names of executed migrations.
+     * 
+     *  @return {Promise<String[]>} - The promise object (resolves the names,
+     *                                sorted).
+     */
+    async function _ReadExecuted() {
+        let rows = await sequelize.query(
+            Util.format(
+                "SELECT %s FROM %s",
+                queryInterface.quoteIdentifier("name"),
+                queryInterface.quoteTable(table)
+            ),
+            {
+                "type": Sequelize.QueryTypes.SELECT
+            }
+        );
+        return rows.map(function(row) {
+            return row["name"];
+        }).sort();
+    }
+
+    /**
+     *  Acquire the migration lock.
+     * 
+     *  @throws {SequelizeFactoryMigrationError}
+     *      - Raised if the lock is still held by others when the wait time
+     *        exceeded.
+     *  @return {Promise<void>}
+     *      - The promise object.
+     */
+    async function _Lock() {
+        let expireAt = Date.now() + migrationCfg.getLockWait();
+        let interval = migrationCfg.getLockInterval();
+        let stale = migrationCfg.getLockStale();
+        while (true) {
+            //  Try to insert the lock row.
+            try {
+                await queryInterface.bulkInsert(lockTable, [{
+                    "id": LOCK_ROW_ID,
+                    "owner": owner,
+                    "acquired": Date.now()
+                }]);
+                return;
+            } catch (error) {
+                if (!(error instanceof Sequelize.UniqueConstraintError)) {
+                    throw new SequelizeFactoryMigrationError(
+                        Util.format(
+                            "Acquire migration lock error. (error = \"%s\")",
+                            error.message || "Unknown error."
+                        ),
+                        error
+                    );
+                }
+            }
+
+            //  Read the lock holder.
+            let rows = await sequelize.query(
+                Util.format(
+                    "SELECT %s, %s FROM %s WHERE %s = %d",
+                    queryInterface.quoteIdentifier("owner"),
+                    queryInterface.quoteIdentifier("acquired"),
+                    queryInterface.quoteTable(lockTable),
+                    queryInterface.quoteIdentifier("id"),
+                    LOCK_ROW_ID
+                ),
+                {
+                    "type": Sequelize.QueryTypes.SELECT
+                }
+            );
+            if (rows.length == 0) {
+                //  Released just now.
+                continue;
+            }
+            let holder = rows[0];
+
+            //  Take over the abandoned lock.
+            if (
+                stale > 0 &&
+                Date.now() - Number(holder["acquired"]) >= stale
+            ) {
+                await queryInterface.bulkDelete(lockTable, {
+                    "id": LOCK_ROW_ID,
+                    "owner": holder["owner"],
+                    "acquired": holder["acquired"]
+                });
+                continue;
+            }
+
+            if (Date.now() + interval > expireAt) {
+                throw new SequelizeFactoryMigrationError(Util.format(
+                    "Migration lock is held by others. (owner = \"%s\")",
+                    holder["owner"]
+                ));
+            }
+            await Sleep(interval);
+        }
+    }
+
+    /**
+     *  Release the migration lock.
+     * 
+     *  @throws {SequelizeFactoryMigrationError}
+     *      - Raised if the lock can't be released.
+     *  @return {Promise<void>} - The promise object.
+     */
+    async function _Unlock() {
+        try {
+            await queryInterface.bulkDelete(lockTable, {
+                "id": LOCK_ROW_ID,
+                "owner": owner
+            });
+        } catch (error) {
+            throw new SequelizeFactoryMigrationError(
+                Util.format(
+                    "Release migration lock error. (error = \"%s\")",
+                    error.message || "Unknown error."
+                ),
+                error
+            );
+        }
+    }
+
+    /**
+     *  Run a task with the migration lock held.
+     * 
+     *  Note(s):
+     *    [1] If the task failed and the lock can't be released either, the 
+     *        error of the task is raised (with the error of releasing set to 
+     *        its "unlockError" property).
+     * 
+     *  @param {function(): Promise<*>} task - The task.
+     *  @return {Promise<*>} - The promise object (resolves the result of the
+     *                         task).
+     */
+    async function _WithLock(task) {
+        await _PrepareTables();
+        await _Lock();
+        let rst;
+        try {
+            rst = await task();
+        } catch (error) {
+            try {
+                await _Unlock();
+            } catch (unlockError) {
+                if (error !== null && typeof(error) == "object") {
+                    error.unlockError = unlockError;
+                }
+            }
+            throw error;
+        }
+        await _Unlock();
+        return rst;
+    }
+
+    /**
+     *  Run one migration (in a transaction).
+     * 
+     *  @throws {SequelizeFactoryMigrationError}
+     *      - Raised if the migration failed.
+     *  @param {{name: String, up: Function, down: Function}} migration
+     *      - The migration.
+     *  @param {String} direction
+     *      - The direction ("up" or "down").
+     *  @return {Promise<void>}
+     *      - The promise object.
+     */
+    async function _Run(migration, direction) {
+        try {
+            let options = transactionCfg.toTransactionOptions();
+            await sequelize.transaction(options, async function(transaction) {
+                await migration[direction](
+                    queryInterface,
+                    Sequelize,
+                    transaction
+                );
+                if (direction == "up") {
+                    await queryInterface.bulkInsert(table, [{
+                        "name": migration.name
+                    }], {
+                        "transaction": transaction
+                    });
+                } else {
+                    await queryInterface.bulkDelete(table, {
+                        "name": migration.name
+                    }, {
+                        "transaction": transaction
+                    });
+                }
+            });
+        } catch (error) {
+            throw new SequelizeFactoryMigrationError(
+                Util.format(
+                    "Run migration error. (migration = \"%s\", " +
+                    "direction = \"%s\", error = \"%s\")",
+                    migration.name,
+                    direction,
+                    error.message || "Unknown error."
+                ),
+                error,
+                migration.name
+            );
+        }
+    }
+
+    /**
+     *  Get the executed migrations (in reverse order) which can be reverted.
+     * 
+     *  @throws {SequelizeFactoryMigrationError}
+     *      - Raised if the module of any executed migration is missing.
+     *  @param {Array<{name: String}>} migrations
+     *      - All migrations.
+     *  @param {String[]} executed
+     *      - The names of executed migrations.
+     *  @return {Array<{name: String, up: Function, down: Function}>}
+     *      - The executed migrations (latest first).
+     */
+    function _GetRevertible(migrations, executed) {
+        return executed.slice().reverse().map(function(name) {
+            let migration = migrations.find(function(item) {
+                return item.name == name;
+            });
+            if (typeof(migration) == "undefined") {
+                throw new SequelizeFactoryMigrationError(
+                    Util.format(
+                        "Module of executed migration is missing. " +
+                        "(migration = \"%s\")",
+                        name
+                    ),
+                    null,
+                    name
+                );
+            }
+            return migration;
+        });
+    }
+
+    //
+    //  Public methods.
+    //
+
+    /**
+     *  Get the names of executed migrations.
+     * 
+     *  @return {Promise<String[]>} - The promise object (resolves the names,
+     *                                sorted).
+     */
+    this.executed = async function() {
+        await _PrepareTables();
+        return await _ReadExecuted();
+    };
+
+    /**
+     *  Get the names of pending migrations.
+     * 
+     *  @throws {SequelizeFactoryMigrationError}
+     *      - Raised if any migration can't be loaded.
+     *  @return {Promise<String[]>}
+     *      - The promise object (resolves the names, sorted).
+     */
+    this.pending = async function() {
+        let migrations = _LoadMigrations();
+        await _PrepareTables();
+        let executed = new Set(await _ReadExecuted());
+        return migrations.filter(function(migration) {
+            return !executed.has(migration.name);
+        }).map(function(migration) {
+            return migration.name;
+        });
+    };
+
+    /**
+     *  Run all pending migrations.
+     * 
+     *  @throws {SequelizeFactoryMigrationError}
+     *      - Raised if any migration failed (migrations run before it stay
+     *        executed) or the lock can't be acquired.
+     *  @return {Promise<String[]>}
+     *      - The promise object (resolves the names of executed migrations).
+     */
+    this.up = async function() {
+        let migrations = _LoadMigrations();
+        return await _WithLock(async function() {
+            let executed = new Set(await _ReadExecuted());
+            let rst = [];
+            for (let i = 0; i < migrations.length; ++i) {
+                let migration = migrations[i];
+                if (!executed.has(migration.name)) {
+                    await _Run(migration, "up");
+                    rst.push(migration.name);
+                }
+            }
+            return rst;
+        });
+    };
+
+    /**
+     *  Revert the latest executed migration.
+     * 
+     *  @throws {SequelizeFactoryMigrationError}
+     *      - Raised if the migration failed or the lock can't be acquired.
+     *  @return {Promise<String[]>}
+     *      - The promise object (resolves the name of reverted migration,
+     *        empty if no executed migration).
+     */
+    this.down = async function() {
+        let migrations = _LoadMigrations();
+        return await _WithLock(async function() {
+            let revertible = _GetRevertible(
+                migrations,
+                await _ReadExecuted()
+            );
+            if (revertible.length == 0) {
+                return [];
+            }
+            await _Run(revertible[0], "down");
+            return [revertible[0].name];
+        });
+    };
+
+    /**
+     *  Migrate up or down to specific migration.
+     * 
+     *  Note(s):
+     *    [1] If the migration is pending, it and all pending migrations
+     *        before it are run.
+     *    [2] If the migration is executed, all executed migrations after it
+     *        are reverted (itself stays executed).
+     *    [3] Pass 0 to revert all executed migrations.
+     * 
+     *  @throws {SequelizeFactoryMigrationError}
+     *      - Raised if the migration doesn't exist, any migration failed or
+     *        the lock can't be acquired.
+     *  @param {String|Number} name
+     *      - The migration name (the ".js" extension can be omitted), or 0.
+     *  @return {Promise<String[]>}
+     *      - The promise object (resolves the names of executed or reverted
+     *        migrations).
+     */
+    this.to = async function(name) {
+        let migrations = _LoadMigrations();
+        let target = null;
+        if (name !== 0) {
+            target = migrations.find(function(migration) {
+                return (
+                    migration.name == name ||
+                    migration.name == name + MIGRATION_FILE_EXTENSION
+                );
+            });
+            if (typeof(target) == "undefined") {
+                throw new SequelizeFactoryMigrationError(
+                    Util.format("Migration \"%s\" doesn't exist.", name),
+                    null,
+                    String(name)
+                );
+            }
+        }
+        return await _WithLock(async function() {
+            let executed = await _ReadExecuted();
+            let rst = [];
+            if (target !== null && executed.indexOf(target.name) < 0) {
+                //  Migrate up.
+                let executedSet = new Set(executed);
+                for (let i = 0; i < migrations.length; ++i) {
+                    let migration = migrations[i];
+                    if (migration.name > target.name) {
+                        break;
+                    }
+                    if (!executedSet.has(migration.name)) {
+                        await _Run(migration, "up");
+                        rst.push(migration.name);
+                    }
+                }
+            } else {
+                //  Migrate down.
+                let revertible = _GetRevertible(
+                    migrations,
+                    executed.filter(function(item) {
+                        return target === null || item > target.name;
+                    })
+                );
+                for (let i = 0; i < revertible.length; ++i) {
+                    await _Run(revertible[i], "down");
+                    rst.push(revertible[i].name);
+                }
+            }
+            return rst;
+        });
+    };
+}
+
+//  Export public APIs.
+module.exports = {
+    "SequelizeMigrator": SequelizeMigrator
+};
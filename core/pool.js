@@ -0,0 +1,61 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Public functions.
+//
+
+/**
+ *  Get the connection pools of a sequelize object.
+ * 
+ *  @param {Sequelize} sequelize - The sequelize object.
+ *  @return {Pool[]} - The pools (read and write pools if replication is
+ *                     enabled).
+ */
+function GetConnectionPools(sequelize) {
+    let pool = sequelize.connectionManager.pool;
+    if (!pool) {
+        return [];
+    }
+    if (pool.read && pool.write) {
+        return [pool.read, pool.write];
+    }
+    return [pool];
+}
+
+/**
+ *  Get the statistics of a connection pool.
+ * 
+ *  @param {Pool} pool
+ *      - The pool.
+ *  @param {ModelPoolConfiguration} poolCfg
+ *      - The pool configuration (provides the limits).
+ *  @return {{
+ *      size: Number,
+ *      available: Number,
+ *      using: Number,
+ *      waiting: Number,
+ *      max: Number,
+ *      min: Number
+ *  }}
+ *      - The statistics.
+ */
+function GetPoolStatistics(pool, poolCfg) {
+    return {
+        "size": pool.size,
+        "available": pool.available,
+        "using": pool.using,
+        "waiting": pool.waiting,
+        "max": poolCfg.getMax(),
+        "min": poolCfg.getMin()
+    };
+}
+
+//  Export public APIs.
+module.exports = {
+    "GetConnectionPools": GetConnectionPools,
+    "GetPoolStatistics": GetPoolStatistics
+};
@@ -0,0 +1,211 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const CrError = require("./error");
+const FS = require("fs");
+const Path = require("path");
+const Sequelize = require("sequelize");
+const Util = require("util");
+
+//  Imported classes.
+const SequelizeFactoryModelError = CrError.SequelizeFactoryModelError;
+const SequelizeFactorySyncError = CrError.SequelizeFactorySyncError;
+
+//
+//  Constants.
+//
+
+//  Extension of model module files.
+const MODEL_FILE_EXTENSION = ".js";
+
+//
+//  Public functions.
+//
+
+/**
+ *  Load model definers.
+ * 
+ *  Note(s):
+ *    [1] A model definer is a function like "function(sequelize, DataTypes)"
+ *        which defines (and returns) one model.
+ *    [2] If a directory is given, every ".js" file (sorted by name, not
+ *        recursive) in it must export a model definer.
+ * 
+ *  @throws {SequelizeFactoryModelError}
+ *      - Raised if any definer can't be loaded.
+ *  @param {Function[]|String} models
+ *      - The model definers (or the directory of model modules).
+ *  @return {Array<{source: String, definer: Function}>}
+ *      - The model definers (with their sources).
+ */
+function LoadModelDefiners(models) {
+    let rst = [];
+    if (typeof(models) == "string") {
+        let directory = Path.resolve(models);
+        let files;
+        try {
+            files = FS.readdirSync(directory);
+        } catch (error) {
+            throw new SequelizeFactoryModelError(
+                Util.format(
+                    "Read model directory error. (directory = \"%s\", " +
+                    "error = \"%s\")",
+                    directory,
+                    error.message || "Unknown error."
+                ),
+                error,
+                directory
+            );
+        }
+        files.filter(function(file) {
+            return (
+                !file.startsWith(".") &&
+                Path.extname(file) == MODEL_FILE_EXTENSION
+            );
+        }).sort().forEach(function(file) {
+            let source = Path.join(directory, file);
+            let definer;
+            try {
+                definer = require(source);
+            } catch (error) {
+                throw new SequelizeFactoryModelError(
+                    Util.format(
+                        "Load model module error. (file = \"%s\", " +
+                        "error = \"%s\")",
+                        source,
+                        error.message || "Unknown error."
+                    ),
+                    error,
+                    source
+                );
+            }
+            rst.push({
+                "source": source,
+                "definer": definer
+            });
+        });
+    } else if (Array.isArray(models)) {
+        models.forEach(function(definer, index) {
+            rst.push({
+                "source": Util.format("models[%d]", index),
+                "definer": definer
+            });
+        });
+    } else {
+        throw new SequelizeFactoryModelError(
+            "Models should be an array of model definers or a directory."
+        );
+    }
+
+    //  Check the definers.
+    rst.forEach(function(item) {
+        if (typeof(item.definer) != "function") {
+            throw new SequelizeFactoryModelError(
+                Util.format(
+                    "Model definer should be a function. (source = \"%s\")",
+                    item.source
+                ),
+                null,
+                item.source
+            );
+        }
+    });
+
+    return rst;
+}
+
+/**
+ *  Define models and run their associate() hooks.
+ * 
+ *  Note(s):
+ *    [1] The associate() hook of each model is called with all defined
+ *        models (i.e. sequelize.models) after all models were defined.
+ * 
+ *  @throws {SequelizeFactoryModelError}
+ *      - Raised if any model can't be defined or associated.
+ *  @param {Sequelize} sequelize
+ *      - The sequelize object.
+ *  @param {Array<{source: String, definer: Function}>} definers
+ *      - The model definers.
+ */
+function DefineModels(sequelize, definers) {
+    //  Define the models.
+    definers.forEach(function(item) {
+        try {
+            item.definer(sequelize, Sequelize.DataTypes);
+        } catch (error) {
+            throw new SequelizeFactoryModelError(
+                Util.format(
+                    "Define model error. (source = \"%s\", error = \"%s\")",
+                    item.source,
+                    error.message || "Unknown error."
+                ),
+                error,
+                item.source
+            );
+        }
+    });
+
+    //  Associate the models.
+    let models = sequelize.models;
+    Object.keys(models).forEach(function(name) {
+        let model = models[name];
+        if (typeof(model.associate) != "function") {
+            return;
+        }
+        try {
+            model.associate(models);
+        } catch (error) {
+            throw new SequelizeFactoryModelError(
+                Util.format(
+                    "Associate model error. (model = \"%s\", error = \"%s\")",
+                    name,
+                    error.message || "Unknown error."
+                ),
+                error,
+                name
+            );
+        }
+    });
+}
+
+/**
+ *  Synchronize all defined models to the database.
+ * 
+ *  @throws {SequelizeFactorySyncError}
+ *      - Raised if sequelize.sync() failed.
+ *  @param {Sequelize} sequelize
+ *      - The sequelize object.
+ *  @param {ModelSyncConfiguration} syncCfg
+ *      - The sync configuration.
+ *  @return {Promise<void>}
+ *      - The promise object.
+ */
+async function SyncModels(sequelize, syncCfg) {
+    try {
+        await sequelize.sync(syncCfg.toObject());
+    } catch (error) {
+        throw new SequelizeFactorySyncError(
+            Util.format(
+                "Sequelize sync failed. (error = \"%s\")",
+                error.message || "Unknown error."
+            ),
+            error
+        );
+    }
+}
+
+//  Export public APIs.
+module.exports = {
+    "LoadModelDefiners": LoadModelDefiners,
+    "DefineModels": DefineModels,
+    "SyncModels": SyncModels
+};
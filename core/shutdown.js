@@ -0,0 +1,85 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const CrPool = require("./pool");
+
+//  Imported functions.
+const GetConnectionPools = CrPool.GetConnectionPools;
+
+//
+//  Public functions.
+//
+
+/**
+ *  Close a sequelize object with time limit.
+ * 
+ *  Note(s):
+ *    [1] New connections are refused immediately, then in-use connections 
+ *        are waited to be released until the time limit exceeded.
+ *    [2] If the time limit exceeded, the connections still in use are 
+ *        counted as closed forcibly and no longer waited (they are closed 
+ *        once released), the others are counted as closed cleanly.
+ * 
+ *  @param {Sequelize} sequelize
+ *      - The sequelize object.
+ *  @param {Number} timeout
+ *      - The time limit, in milliseconds.
+ *  @return {Promise<{clean: Number, forced: Number}>}
+ *      - The promise object (resolves with the count of connections closed
+ *        cleanly and forcibly).
+ */
+async function CloseWithTimeout(sequelize, timeout) {
+    let pools = GetConnectionPools(sequelize);
+
+    /**
+     *  Count the connections of all pools.
+     * 
+     *  @param {String} counter - The counter ("size" or "using").
+     *  @return {Number} - The count.
+     */
+    function _Count(counter) {
+        return pools.reduce(function(total, pool) {
+            return total + pool[counter];
+        }, 0);
+    }
+
+    //  Close (drain the pools) with time limit.
+    let size = _Count("size");
+    let timer = null;
+    let timedOut = await Promise.race([
+        sequelize.close().then(function() {
+            return false;
+        }),
+        new Promise(function(resolve) {
+            timer = setTimeout(function() {
+                resolve(true);
+            }, timeout);
+        })
+    ]);
+    clearTimeout(timer);
+
+    if (!timedOut) {
+        return {
+            "clean": size,
+            "forced": 0
+        };
+    }
+    let forced = _Count("using");
+    return {
+        "clean": Math.max(_Count("size") - forced, 0),
+        "forced": forced
+    };
+}
+
+//  Export public APIs.
+module.exports = {
+    "CloseWithTimeout": CloseWithTimeout
+};
@@ -0,0 +1,358 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const CfgModel = require("./../configuration/model");
+const CrError = require("./error");
+const CrShutdown = require("./shutdown");
+const Util = require("util");
+
+//  Imported classes.
+const ModelConfiguration = CfgModel.ModelConfiguration;
+const ModelConfigurationError = CfgModel.ModelConfigurationError;
+const SequelizeFactoryConfigurationError =
+    CrError.SequelizeFactoryConfigurationError;
+
+//  Imported functions.
+const CloseWithTimeout = CrShutdown.CloseWithTimeout;
+
+//
+//  Classes.
+//
+
+/**
+ *  Sequelize tenant manager.
+ * 
+ *  Note(s):
+ *    [1] Sequelize objects are cached per tenant and ordered by their last
+ *        use, the least recently used one is evicted when the count exceeds
+ *        the limit, and the ones not used for the idle time limit are
+ *        evicted too.
+ *    [2] Evicted sequelize objects are closed like shutting down the
+ *        factory, i.e. in-use connections are waited to be released until
+ *        the close time limit exceeded.
+ * 
+ *  @constructor
+ *  @param {(cfg: ModelConfiguration) => Promise<Sequelize>} create
+ *      - The function that creates a sequelize object from (loaded)
+ *        configuration.
+ *  @param {ModelConfiguration} baseCfg
+ *      - The base configuration (only its explicitly given items are
+ *        overridden, items derived from them like the default port of the
+ *        dialect are derived again for each tenant).
+ *  @param {function(String): (Object|String|Promise)} resolver
+ *      - The function that resolves the overrides (raw configuration or
+ *        connection URI) of a tenant.
+ *  @param {Number} max
+ *      - The maximum count of cached sequelize objects.
+ *  @param {Number} idleTTL
+ *      - The idle time limit, in milliseconds (0 if not limited).
+ *  @param {Number} closeTimeout
+ *      - The close time limit, in milliseconds.
+ */
+function SequelizeTenantManager(
+    create,
+    baseCfg,
+    resolver,
+    max,
+    idleTTL,
+    closeTimeout
+) {
+    //
+    //  Members.
+    //
+
+    //  Self reference.
+    let self = this;
+
+    //  Base raw configuration (the explicitly given items).
+    let baseRaw = baseCfg.getExplicitRaw();
+
+    //  Cached sequelize objects, from the least recently used to the most
+    //  recently used (tenant => {sequelize: Sequelize, used: Number}).
+    let instances = new Map();
+
+    //  In-flight creations (tenant => Promise).
+    let creations = new Map();
+
+    //  In-flight closings of evicted sequelize objects.
+    let closings = new Set();
+
+    //  Idle eviction timer (NULL if not scheduled).
+    let timer = null;
+
+    //
+    //  Private functions.
+    //
+
+    /**
+     *  Normalize a tenant ID.
+     * 
+     *  @throws {SequelizeFactoryConfigurationError}
+     *      - Raised if the tenant ID is neither a string nor a number.
+     *  @param {*} tenant - The tenant ID.
+     *  @return {String} - The normalized tenant ID.
+     */
+    function _NormalizeTenant(tenant) {
+        if (typeof(tenant) != "string" && typeof(tenant) != "number") {
+            throw new SequelizeFactoryConfigurationError(
+                "Tenant ID should be a string or a number."
+            );
+        }
+        return String(tenant);
+    }
+
+    /**
+     *  Evict a cached sequelize object.
+     * 
+     *  @param {String} tenant
+     *      - The tenant ID.
+     *  @return {Promise<void>}
+     *      - The promise object which resolves when closed.
+     */
+    function _Evict(tenant) {
+        let entry = instances.get(tenant);
+        instances.delete(tenant);
+        let closing = CloseWithTimeout(
+            entry["sequelize"],
+            closeTimeout
+        ).then(function() {
+            closings.delete(closing);
+        }, function() {
+            //  The sequelize object is unusable anyway.
+            closings.delete(closing);
+        });
+        closings.add(closing);
+        return closing;
+    }
+
+    /**
+     *  Evict the least recently used sequelize objects until the count
+     *  doesn't exceed the limit.
+     * 
+     *  @param {Number} reserved
+     *      - The count of slots reserved for in-flight creations.
+     */
+    function _EvictExceeded(reserved) {
+        while (instances.size != 0 && instances.size + reserved > max) {
+            _Evict(instances.keys().next().value);
+        }
+    }
+
+    /**
+     *  Schedule the idle eviction of the least recently used sequelize
+     *  object.
+     */
+    function _ScheduleIdleEviction() {
+        if (timer !== null || idleTTL == 0 || instances.size == 0) {
+            return;
+        }
+        let oldest = instances.values().next().value;
+        timer = setTimeout(function() {
+            timer = null;
+            let now = Date.now();
+            Array.from(instances).some(function(item) {
+                if (now - item[1]["used"] < idleTTL) {
+                    return true;
+                }
+                _Evict(item[0]);
+                return false;
+            });
+            _ScheduleIdleEviction();
+        }, Math.max(oldest["used"] + idleTTL - Date.now(), 0));
+        timer.unref();
+    }
+
+    /**
+     *  Create the sequelize object of a tenant.
+     * 
+     *  @param {String} tenant
+     *      - The tenant ID.
+     *  @return {Promise<Sequelize>}
+     *      - The promise object which resolves sequelize object or rejects
+     *        if occurred error.
+     */
+    async function _Create(tenant) {
+        //  Resolve the configuration.
+        let overrides = await resolver(tenant);
+        let tenantCfg;
+        try {
+            tenantCfg = ModelConfiguration.From(ModelConfiguration.MergeRaw([
+                baseRaw,
+                (overrides === null || overrides === undefined) ? {} : overrides
+            ]));
+        } catch (error) {
+            throw new SequelizeFactoryConfigurationError(
+                Util.format(
+                    "Invalid overrides of tenant \"%s\". (error = \"%s\")",
+                    tenant,
+                    error.message || "Unknown error."
+                ),
+                (error instanceof ModelConfigurationError) ? error.path : null,
+                error,
+                (error instanceof ModelConfigurationError) ? error.errors : null
+            );
+        }
+
+        //  Make room for the sequelize object (after the configuration is
+        //  resolved and validated, so that unknown tenants don't evict
+        //  others).
+        _EvictExceeded(creations.size);
+        let sequelize = await create(tenantCfg);
+
+        //  Drop the sequelize object from the cache once it's closed (like
+        //  shutting down the factory).
+        let close = sequelize.close;
+        sequelize.close = function() {
+            let entry = instances.get(tenant);
+            if (entry !== undefined && entry["sequelize"] === sequelize) {
+                instances.delete(tenant);
+            }
+            return close.apply(sequelize, arguments);
+        };
+
+        return sequelize;
+    }
+
+    //
+    //  Public methods.
+    //
+
+    /**
+     *  Get the sequelize object of a tenant (create it if not cached).
+     * 
+     *  Note(s):
+     *    [1] Concurrent calls for the same tenant share one creation.
+     *    [2] A failed creation is not cached, next call tries again.
+     *    [3] Numeric tenant IDs are converted to strings.
+     * 
+     *  @throws {SequelizeFactoryConfigurationError}
+     *      - Raised if the tenant ID is invalid, or the configuration of the
+     *        tenant is invalid.
+     *  @throws {SequelizeFactoryAuthenticateError}
+     *      - Raised if sequelize authenticate was failed.
+     *  @throws {Error}
+     *      - Raised if the resolver failed (the error of the resolver).
+     *  @param {String|Number} tenant
+     *      - The tenant ID.
+     *  @return {Promise<Sequelize>}
+     *      - The promise object which resolves sequelize object or rejects if
+     *        occurred error.
+     */
+    this.get = async function(tenant) {
+        tenant = _NormalizeTenant(tenant);
+        if (instances.has(tenant)) {
+            let entry = instances.get(tenant);
+            instances.delete(tenant);
+            entry["used"] = Date.now();
+            instances.set(tenant, entry);
+            return entry["sequelize"];
+        }
+        if (creations.has(tenant)) {
+            return await creations.get(tenant);
+        }
+
+        //  Create the sequelize object.
+        let creation = _Create(tenant);
+        creations.set(tenant, creation);
+        try {
+            let sequelize = await creation;
+            instances.set(tenant, {
+                "sequelize": sequelize,
+                "used": Date.now()
+            });
+            _EvictExceeded(0);
+            _ScheduleIdleEviction();
+            return sequelize;
+        } finally {
+            creations.delete(tenant);
+        }
+    };
+
+    /**
+     *  Get whether the sequelize object of a tenant is cached.
+     * 
+     *  @param {String|Number} tenant - The tenant ID.
+     *  @return {Boolean} - True if so.
+     */
+    this.has = function(tenant) {
+        return instances.has(_NormalizeTenant(tenant));
+    };
+
+    /**
+     *  Get the IDs of tenants whose sequelize objects are cached.
+     * 
+     *  @return {String[]}
+     *      - The tenant IDs, from the least recently used to the most
+     *        recently used.
+     */
+    this.tenants = function() {
+        return Array.from(instances.keys());
+    };
+
+    /**
+     *  Evict the sequelize object of a tenant (e.g. when the configuration of
+     *  the tenant was changed).
+     * 
+     *  Note(s):
+     *    [1] In-flight creation of the tenant is waited before evicting.
+     * 
+     *  @throws {SequelizeFactoryConfigurationError}
+     *      - Raised if the tenant ID is invalid.
+     *  @param {String|Number} tenant
+     *      - The tenant ID.
+     *  @return {Promise<Boolean>}
+     *      - The promise object which resolves with whether a sequelize
+     *        object was evicted when it's closed.
+     */
+    this.evict = async function(tenant) {
+        tenant = _NormalizeTenant(tenant);
+        if (creations.has(tenant)) {
+            try {
+                await creations.get(tenant);
+            } catch (error) {
+                //  Nothing to evict.
+            }
+        }
+        if (!instances.has(tenant)) {
+            return false;
+        }
+        await _Evict(tenant);
+        return true;
+    };
+
+    /**
+     *  Close the sequelize objects of all tenants.
+     * 
+     *  Note(s):
+     *    [1] In-flight creations are waited before closing.
+     *    [2] The tenants can be got (created) again after closing.
+     * 
+     *  @return {Promise<void>}
+     *      - The promise object which resolves when all closed.
+     */
+    this.closeAll = async function() {
+        //  Wait for in-flight creations.
+        await Promise.all(Array.from(creations.values()).map(function(p) {
+            return p.catch(function() {
+                return null;
+            });
+        }));
+
+        //  Close all sequelize objects.
+        self.tenants().forEach(_Evict);
+        await Promise.all(Array.from(closings));
+    };
+}
+
+//  Export public APIs.
+module.exports = {
+    "SequelizeTenantManager": SequelizeTenantManager
+};
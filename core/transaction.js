@@ -0,0 +1,404 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const CrError = require("./error");
+const Sequelize = require("sequelize");
+const Util = require("util");
+const XRTLibTraverse = require("xrtlibrary-traverse");
+
+//  Imported classes.
+const SequelizeFactoryTransactionError = 
+    CrError.SequelizeFactoryTransactionError;
+
+//
+//  Constants.
+//
+
+//  Isolation levels.
+const ISOLATION_LEVELS = Sequelize.Transaction.ISOLATION_LEVELS;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Wait for specific time.
+ * 
+ *  @param {Number} ms - The time, in milliseconds.
+ *  @return {Promise<void>} - The promise object (resolves when timed out).
+ */
+function Sleep(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+/**
+ *  Get whether an error is retryable.
+ * 
+ *  Note(s):
+ *    [1] The error and its causes (the "parent" and "original" properties 
+ *        set by Sequelize) are checked, an error matches if its "code", 
+ *        "sqlState" or "number" (SQL Server) is one of the codes.
+ * 
+ *  @param {*} error - The error.
+ *  @param {String[]} codes - The retryable error codes.
+ *  @return {Boolean} - True if so.
+ */
+function IsRetryableError(error, codes) {
+    let visited = new Set();
+    while (
+        error !== null && 
+        typeof(error) == "object" && 
+        !visited.has(error)
+    ) {
+        visited.add(error);
+        let found = ["code", "sqlState", "number"].some(function(name) {
+            let value = error[name];
+            return (
+                (typeof(value) == "string" || typeof(value) == "number") &&
+                codes.indexOf(String(value)) >= 0
+            );
+        });
+        if (found) {
+            return true;
+        }
+        error = error.parent || error.original || null;
+    }
+    return false;
+}
+
+/**
+ *  Build the query that sets the lock timeout of a transaction.
+ * 
+ *  Note(s):
+ *    [1] MySQL and MariaDB only accept whole seconds, the timeout is rounded
+ *        up.
+ *    [2] On PostgreSQL the setting ends with the transaction, on other
+ *        dialects it stays on the connection until the next transaction
+ *        sets it again.
+ * 
+ *  @param {String} dialect - The dialect.
+ *  @param {Number} lockTimeout - The lock timeout, in milliseconds.
+ *  @return {?String} - The query (NULL if not needed).
+ */
+function BuildLockTimeoutQuery(dialect, lockTimeout) {
+    if (lockTimeout == 0) {
+        return null;
+    }
+    switch (dialect) {
+    case "mysql":
+    case "mariadb":
+        return "SET SESSION innodb_lock_wait_timeout = " +
+               String(Math.ceil(lockTimeout / 1000));
+    case "postgres":
+        return "SET LOCAL lock_timeout = " + String(lockTimeout);
+    case "mssql":
+        return "SET LOCK_TIMEOUT " + String(lockTimeout);
+    default:
+        return null;
+    }
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  Apply the transaction configuration to a sequelize object.
+ * 
+ *  Note(s):
+ *    [1] sequelize.transaction() is wrapped to use the default deferrable
+ *        constraints mode (can be overridden by the "deferrable" option)
+ *        and to set the lock timeout after the transaction started (not
+ *        for nested transactions, i.e. savepoints).
+ * 
+ *  @param {Sequelize} sequelize
+ *      - The sequelize object.
+ *  @param {String} dialect
+ *      - The dialect.
+ *  @param {ModelTransactionConfiguration} transactionCfg
+ *      - The transaction configuration.
+ */
+function InstallTransactionDefaults(sequelize, dialect, transactionCfg) {
+    //  Wrap sequelize.transaction().
+    let defaults = transactionCfg.toTransactionOptions();
+    let lockQuery = BuildLockTimeoutQuery(
+        dialect,
+        transactionCfg.getLockTimeout()
+    );
+    let transaction = sequelize.transaction;
+    sequelize.transaction = function(options, autoCallback) {
+        if (typeof(options) == "function") {
+            autoCallback = options;
+            options = {};
+        }
+        options = Object.assign({}, defaults, options || {});
+        if (lockQuery === null || options.transaction) {
+            return transaction.call(sequelize, options, autoCallback);
+        }
+
+        /**
+         *  Set the lock timeout of a transaction.
+         * 
+         *  @param {Transaction} t - The transaction.
+         *  @return {Promise<void>} - The promise object.
+         */
+        function _SetLockTimeout(t) {
+            return sequelize.query(lockQuery, {
+                "transaction": t,
+                "raw": true
+            });
+        }
+
+        if (typeof(autoCallback) == "function") {
+            return transaction.call(sequelize, options, function(t) {
+                return _SetLockTimeout(t).then(function() {
+                    return autoCallback(t);
+                });
+            });
+        }
+        return transaction.call(sequelize, options).then(function(t) {
+            return _SetLockTimeout(t).then(function() {
+                return t;
+            }, function(error) {
+                return t.rollback().catch(function() {
+                    //  Ignore.
+                }).then(function() {
+                    throw error;
+                });
+            });
+        });
+    };
+}
+
+/**
+ *  Sequelize transaction manager.
+ * 
+ *  @constructor
+ *  @param {Sequelize} sequelize
+ *      - The sequelize object.
+ *  @param {ModelTransactionConfiguration} transactionCfg
+ *      - The transaction configuration.
+ */
+function SequelizeTransactionManager(sequelize, transactionCfg) {
+    //
+    //  Members.
+    //
+
+    //  After-commit hooks of running managed transactions (Transaction => 
+    //  Function[]).
+    let hooks = new WeakMap();
+
+    //
+    //  Public methods.
+    //
+
+    /**
+     *  Register a hook that is called after a managed transaction committed.
+     * 
+     *  Note(s):
+     *    [1] Hooks registered in a nested transaction (savepoint) are called 
+     *        after the outermost transaction committed, and are dropped if 
+     *        the savepoint was rolled back.
+     *    [2] Hooks registered in a failed attempt are dropped (they are not 
+     *        called even if a retry succeeded).
+     *    [3] Hooks are called in order with the outermost transaction, errors 
+     *        thrown by hooks are raised to the caller of withTransaction() 
+     *        (the transaction was already committed).
+     * 
+     *  @throws {SequelizeFactoryTransactionError}
+     *      - Raised if the transaction is not a running transaction managed 
+     *        by this manager.
+     *  @param {Transaction} transaction
+     *      - The transaction.
+     *  @param {(transaction: Transaction) => (void|Promise<void>)} hook
+     *      - The hook.
+     */
+    this.afterCommit = function(transaction, hook) {
+        if (!hooks.has(transaction)) {
+            throw new SequelizeFactoryTransactionError(
+                "The transaction is not a running managed transaction."
+            );
+        }
+        if (typeof(hook) != "function") {
+            throw new SequelizeFactoryTransactionError(
+                "The hook should be a function."
+            );
+        }
+        hooks.get(transaction).push(hook);
+    };
+
+    /**
+     *  Run a function in a managed transaction.
+     * 
+     *  Note(s):
+     *    [1] The transaction is committed if the function resolves, or rolled 
+     *        back if the function rejects.
+     *    [2] If the transaction failed with a retryable error (see the 
+     *        "transaction.retry-codes" item), the whole function is retried 
+     *        in a new transaction after a delay (starts from 
+     *        "transaction.retry-backoff", doubled for each retry, no more 
+     *        than "transaction.retry-backoff-max").
+     *    [3] If the "transaction" option is given, the function runs in a 
+     *        savepoint of that transaction and is never retried (the 
+     *        outermost transaction is retried instead).
+     * 
+     *  @throws {SequelizeFactoryTransactionError}
+     *      - Raised if the options are invalid or the transaction still failed 
+     *        with a retryable error after all attempts.
+     *  @param {(transaction: Transaction) => Promise<*>} fn
+     *      - The function.
+     *  @param {Object} [options]
+     *      - The options:
+     *          - transaction (Transaction): The parent managed transaction 
+     *            (default: null, not nested).
+     *          - isolation-level (String): The isolation level, one of 
+     *            'READ_UNCOMMITTED', 'READ_COMMITTED', 'REPEATABLE_READ', 
+     *            'SERIALIZABLE' (default: "transaction.isolation-level").
+     *          - retry-max (Number): The time that the transaction is retried 
+     *            (default: "transaction.retry-max").
+     *          - retry-codes (String[]): The retryable error codes (default: 
+     *            "transaction.retry-codes").
+     *  @return {Promise<*>}
+     *      - The promise object (resolves with the value that the function 
+     *        resolved).
+     */
+    this.withTransaction = async function(fn, options = {}) {
+        //  Load the options.
+        let parent;
+        let isolationLevel;
+        let retryMax;
+        let retryCodes = [];
+        try {
+            if (typeof(fn) != "function") {
+                throw new Error("The function should be a function.");
+            }
+            let root = XRTLibTraverse.WrapObject(options)
+                                     .notNull()
+                                     .typeOf(Object);
+            parent = root.optionalSub("transaction", null)
+                         .inner();
+            isolationLevel = root.optionalSub("isolation-level", null)
+                                 .string()
+                                 .oneOf(ISOLATION_LEVELS)
+                                 .inner();
+            retryMax = root.optionalSub("retry-max", 
+                               transactionCfg.getRetryMax())
+                           .notNull()
+                           .integer()
+                           .min(0)
+                           .inner();
+            root.optionalSub("retry-codes", transactionCfg.getRetryCodes())
+                .notNull()
+                .typeOf(Array)
+                .arrayForEach(function(item) {
+                    retryCodes.push(item.notNull().string().inner());
+                });
+        } catch (error) {
+            throw new SequelizeFactoryTransactionError(
+                Util.format(
+                    "Invalid transaction options. (error = \"%s\")",
+                    error.message || "Unknown error."
+                ),
+                error
+            );
+        }
+
+        if (isolationLevel === null) {
+            isolationLevel = transactionCfg.getIsolationLevel();
+        } else {
+            isolationLevel = ISOLATION_LEVELS[isolationLevel];
+        }
+
+        //  Run in a savepoint.
+        if (parent !== null) {
+            if (!hooks.has(parent)) {
+                throw new SequelizeFactoryTransactionError(
+                    "The parent transaction is not a running managed " + 
+                    "transaction."
+                );
+            }
+            let pending = [];
+            let rst = await sequelize.transaction({
+                "transaction": parent
+            }, async function(t) {
+                hooks.set(t, pending);
+                try {
+                    return await fn(t);
+                } finally {
+                    hooks.delete(t);
+                }
+            });
+            Array.prototype.push.apply(hooks.get(parent), pending);
+            return rst;
+        }
+
+        //  Run (and retry) the transaction.
+        let backoff = transactionCfg.getRetryBackoff();
+        let backoffMax = transactionCfg.getRetryBackoffMax();
+        let attempts = 0;
+        while (true) {
+            ++attempts;
+            let pending = [];
+            let committed = null;
+            let rst;
+            try {
+                rst = await sequelize.transaction({
+                    "isolationLevel": isolationLevel
+                }, async function(t) {
+                    hooks.set(t, pending);
+                    try {
+                        let value = await fn(t);
+                        committed = t;
+                        return value;
+                    } finally {
+                        hooks.delete(t);
+                    }
+                });
+            } catch (error) {
+                if (!IsRetryableError(error, retryCodes)) {
+                    throw error;
+                }
+                if (attempts > retryMax) {
+                    throw new SequelizeFactoryTransactionError(
+                        Util.format(
+                            "Transaction failed after %d attempt(s). " + 
+                            "(error = \"%s\")",
+                            attempts,
+                            error.message || "Unknown error."
+                        ),
+                        error,
+                        attempts
+                    );
+                }
+                await Sleep(Math.min(
+                    backoff * Math.pow(2, attempts - 1), 
+                    backoffMax
+                ));
+                continue;
+            }
+
+            //  Call the after-commit hooks.
+            for (let i = 0; i < pending.length; ++i) {
+                await pending[i](committed);
+            }
+
+            return rst;
+        }
+    };
+}
+
+//  Export public APIs.
+module.exports = {
+    "InstallTransactionDefaults": InstallTransactionDefaults,
+    "SequelizeTransactionManager": SequelizeTransactionManager
+};
@@ -14,5 +14,26 @@ const CrFactory = require("./../core/factory");
 //  Export public APIs.
 module.exports = {
     "Sequelize": CrFactory.Sequelize,
-    "SequelizeFactory": CrFactory.SequelizeFactory
+    "SequelizeFactory": CrFactory.SequelizeFactory,
+    "SequelizeFactoryError": CrFactory.SequelizeFactoryError,
+    "SequelizeFactoryConfigurationError": 
+        CrFactory.SequelizeFactoryConfigurationError,
+    "SequelizeFactoryAuthenticateError": 
+        CrFactory.SequelizeFactoryAuthenticateError,
+    "SequelizeFactoryHostUnreachableError": 
+        CrFactory.SequelizeFactoryHostUnreachableError,
+    "SequelizeFactoryAccessDeniedError": 
+        CrFactory.SequelizeFactoryAccessDeniedError,
+    "SequelizeFactoryUnknownDatabaseError": 
+        CrFactory.SequelizeFactoryUnknownDatabaseError,
+    "SequelizeFactoryTimeoutError": CrFactory.SequelizeFactoryTimeoutError,
+    "SequelizeFactoryReplicationError": 
+        CrFactory.SequelizeFactoryReplicationError,
+    "SequelizeFactoryModelError": CrFactory.SequelizeFactoryModelError,
+    "SequelizeFactorySyncError": CrFactory.SequelizeFactorySyncError,
+    "SequelizeFactoryMigrationError": 
+        CrFactory.SequelizeFactoryMigrationError,
+    "SequelizeFactoryTransactionError": 
+        CrFactory.SequelizeFactoryTransactionError,
+    "SequelizeFactoryShutdownError": CrFactory.SequelizeFactoryShutdownError
 };
\ No newline at end of file
@@ -0,0 +1,213 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CfgModel = require("./../configuration/model");
+const CrFactory = require("./../core/factory");
+const Sequelize = require("sequelize");
+const Test = require("node:test");
+
+//  Imported classes.
+const ModelConfiguration = CfgModel.ModelConfiguration;
+const ModelConfigurationError = CfgModel.ModelConfigurationError;
+const SequelizeFactory = CrFactory.SequelizeFactory;
+const SequelizeFactoryHostUnreachableError =
+    CrFactory.SequelizeFactoryHostUnreachableError;
+const SequelizeFactoryTimeoutError = CrFactory.SequelizeFactoryTimeoutError;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Create a connection refused error.
+ * 
+ *  @return {Error} - The error.
+ */
+function CreateRefusedError() {
+    let error = new Error("Connection refused.");
+    error.code = "ECONNREFUSED";
+    return new Sequelize.ConnectionRefusedError(error);
+}
+
+/**
+ *  Load an authenticate configuration.
+ * 
+ *  @param {Object} cfg - The raw authenticate configuration.
+ *  @return {ModelAuthenticateConfiguration} - The configuration.
+ */
+function LoadAuthenticate(cfg) {
+    return ModelConfiguration.From({
+        "authenticate": cfg
+    }).getAuthenticateConfiguration();
+}
+
+/**
+ *  Create a hook that records the attempts.
+ * 
+ *  @param {Array} attempts - The array that receives the records.
+ *  @return {function(Number, ?Error, ?Number): void} - The hook.
+ */
+function CreateOnAttempt(attempts) {
+    return function(attempt, error, delay) {
+        attempts.push([attempt, error === null ? null : error.message, delay]);
+    };
+}
+
+//
+//  Tests.
+//
+
+Test.describe("ModelAuthenticateConfiguration", function() {
+    Test.it("computes the exponential delays", function() {
+        let cfg = LoadAuthenticate({
+            "attempts": 4,
+            "delay": 10,
+            "multiplier": 3
+        });
+        Assert.deepStrictEqual([1, 2, 3].map(function(attempt) {
+            return cfg.getDelayAfter(attempt);
+        }), [10, 30, 90]);
+
+        cfg = LoadAuthenticate({
+            "delay": 10,
+            "jitter": 5
+        });
+        for (let i = 0; i < 20; ++i) {
+            let delay = cfg.getDelayAfter(1);
+            Assert.ok(delay >= 10 && delay <= 15, String(delay));
+        }
+    });
+
+    Test.it("rejects invalid items", function() {
+        [
+            {"attempts": 0},
+            {"delay": -1},
+            {"multiplier": 0.5},
+            {"deadline": -1},
+            {"on-attempt": "log"}
+        ].forEach(function(cfg) {
+            Assert.throws(function() {
+                LoadAuthenticate(cfg);
+            }, ModelConfigurationError, JSON.stringify(cfg));
+        });
+    });
+});
+
+Test.describe("SequelizeFactory.create() authentication", function() {
+    let authenticate = Sequelize.prototype.authenticate;
+    let factory = null;
+
+    Test.beforeEach(function() {
+        factory = new SequelizeFactory();
+    });
+
+    Test.afterEach(async function() {
+        Sequelize.prototype.authenticate = authenticate;
+        await factory.shutdown({"timeout": 100});
+    });
+
+    Test.it("retries with backoff until succeeded", async function() {
+        let calls = [];
+        Sequelize.prototype.authenticate = async function(options) {
+            calls.push(options);
+            if (calls.length < 3) {
+                throw CreateRefusedError();
+            }
+        };
+        let attempts = [];
+        await factory.create({
+            "host": "db",
+            "authenticate": {
+                "attempts": 5,
+                "delay": 10,
+                "multiplier": 2,
+                "on-attempt": CreateOnAttempt(attempts)
+            }
+        });
+        Assert.deepStrictEqual(attempts, [
+            [1, "Connection refused.", 10],
+            [2, "Connection refused.", 20],
+            [3, null, null]
+        ]);
+
+        //  Each attempt runs the query once.
+        calls.forEach(function(options) {
+            Assert.deepStrictEqual(options, {"retry": {"max": 1}});
+        });
+    });
+
+    Test.it("reports all failed attempts", async function() {
+        Sequelize.prototype.authenticate = async function() {
+            throw CreateRefusedError();
+        };
+        let attempts = [];
+        await Assert.rejects(factory.create({
+            "host": "db",
+            "authenticate": {
+                "attempts": 3,
+                "delay": 1,
+                "on-attempt": function(attempt, error, delay) {
+                    attempts.push(delay);
+                    throw new Error("Hook failed.");
+                }
+            }
+        }), function(error) {
+            Assert.ok(error instanceof SequelizeFactoryHostUnreachableError);
+            Assert.strictEqual(error.attempts.length, 3);
+            Assert.match(error.message, /failed after 3 attempts/);
+            return true;
+        });
+        Assert.deepStrictEqual(attempts, [1, 2, null]);
+    });
+
+    Test.it("stops when the deadline exceeded", async function() {
+        let calls = 0;
+        Sequelize.prototype.authenticate = function() {
+            ++calls;
+            return new Promise(function() {});
+        };
+        let start = Date.now();
+        await Assert.rejects(factory.create({
+            "host": "db",
+            "authenticate": {
+                "attempts": 5,
+                "delay": 1,
+                "deadline": 50
+            }
+        }), function(error) {
+            Assert.ok(error instanceof SequelizeFactoryTimeoutError);
+            Assert.strictEqual(error.cause.code, "ETIMEDOUT");
+            return true;
+        });
+        Assert.strictEqual(calls, 1);
+        Assert.ok(Date.now() - start < 1000);
+    });
+
+    Test.it("doesn't wait past the deadline", async function() {
+        Sequelize.prototype.authenticate = async function() {
+            throw CreateRefusedError();
+        };
+        let attempts = [];
+        let start = Date.now();
+        await Assert.rejects(factory.create({
+            "host": "db",
+            "authenticate": {
+                "attempts": 5,
+                "delay": 5000,
+                "deadline": 1000,
+                "on-attempt": CreateOnAttempt(attempts)
+            }
+        }), SequelizeFactoryHostUnreachableError);
+        Assert.deepStrictEqual(attempts, [[1, "Connection refused.", null]]);
+        Assert.ok(Date.now() - start < 1000);
+    });
+});
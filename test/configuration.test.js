@@ -0,0 +1,184 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CfgModel = require("./../configuration/model");
+const FS = require("fs");
+const OS = require("os");
+const Path = require("path");
+const Test = require("node:test");
+
+//  Imported classes.
+const ModelConfiguration = CfgModel.ModelConfiguration;
+
+//
+//  Constants.
+//
+
+//  A PEM-encoded (dummy) certificate.
+const PEM = "-----BEGIN CERTIFICATE-----\nMIIB\n-----END CERTIFICATE-----";
+
+//  Raw configurations that are loaded and converted back.
+const SAMPLES = [
+    {},
+    {
+        "host": "db",
+        "port": 3307,
+        "username": "app",
+        "password": "secret",
+        "database": "app",
+        "pool": {
+            "max": 20,
+            "min": 2
+        },
+        "retry": {
+            "max": 0
+        },
+        "transaction": {
+            "isolation-level": "SERIALIZABLE",
+            "lock-timeout": 2000
+        },
+        "ssl": {
+            "enabled": true,
+            "ca": PEM,
+            "reject-unauthorized": false
+        },
+        "dialect-options": {
+            "charset": "utf8mb4"
+        }
+    },
+    {
+        "dialect": "postgres",
+        "host": "db",
+        "database": "app",
+        "transaction": {
+            "deferrable": "SET_DEFERRED"
+        }
+    },
+    {
+        "dialect": "sqlite",
+        "storage": "app.db",
+        "transaction": {
+            "type": "IMMEDIATE"
+        }
+    },
+    {
+        "host": "db",
+        "replication": {
+            "write": {
+                "host": "w"
+            },
+            "read": [
+                {"host": "r1", "port": 3307},
+                {"host": "r2", "username": "reader"}
+            ]
+        }
+    },
+    "mysql://app:secret@db:3307/app?pool.max=8"
+];
+
+//
+//  Tests.
+//
+
+Test.describe("ModelConfiguration", function() {
+    let directory = null;
+
+    /**
+     *  Write a temporary file.
+     * 
+     *  @param {String} name - The file name.
+     *  @param {String} content - The content.
+     *  @return {String} - The file path.
+     */
+    function WriteFile(name, content) {
+        if (directory === null) {
+            directory = FS.mkdtempSync(Path.join(OS.tmpdir(), "cfg-"));
+        }
+        let file = Path.join(directory, name);
+        FS.writeFileSync(file, content);
+        return file;
+    }
+
+    Test.after(function() {
+        if (directory !== null) {
+            FS.rmSync(directory, {"recursive": true, "force": true});
+        }
+    });
+
+    Test.it("loads toRaw() back to an equal configuration", function() {
+        SAMPLES.forEach(function(sample) {
+            let cfg = ModelConfiguration.From(sample);
+            let copy = ModelConfiguration.From(cfg.toRaw());
+            Assert.ok(copy.equals(cfg), JSON.stringify(sample));
+            Assert.deepStrictEqual(copy.toRaw(), cfg.toRaw());
+        });
+    });
+
+    Test.it("keeps secret file references in toRaw()", function() {
+        let password = WriteFile("password", "secret\n");
+        let ca = WriteFile("ca.pem", PEM);
+        let cfg = ModelConfiguration.From({
+            "host": "db",
+            "password": {"file": password},
+            "ssl": {
+                "enabled": true,
+                "ca": ca
+            },
+            "replication": {
+                "read": [
+                    {"host": "r1", "password": {"file": password}}
+                ]
+            }
+        });
+        Assert.strictEqual(cfg.getPassword(), "secret");
+        Assert.strictEqual(cfg.getSslConfiguration().getCa(), PEM);
+
+        let raw = cfg.toRaw();
+        Assert.deepStrictEqual(raw["password"], {"file": password});
+        Assert.deepStrictEqual(raw["ssl"]["ca"], {"file": ca});
+        Assert.deepStrictEqual(raw["replication"]["read"], [
+            {"host": "r1", "password": {"file": password}}
+        ]);
+        Assert.ok(!JSON.stringify(raw).includes("secret"));
+        Assert.ok(ModelConfiguration.From(raw).equals(cfg));
+    });
+
+    Test.it("merges the explicitly given items", function() {
+        let base = ModelConfiguration.From({
+            "host": "db",
+            "retry": {
+                "max": 9
+            }
+        });
+        let merged = base.merge(ModelConfiguration.From({
+            "host": "localhost",
+            "retry": {
+                "max": ModelConfiguration.Default().toRaw()["retry"]["max"]
+            }
+        }));
+        Assert.strictEqual(merged.getHost(), "localhost");
+        Assert.strictEqual(
+            merged.getRetryConfiguration().getMax(),
+            ModelConfiguration.Default().toRaw()["retry"]["max"]
+        );
+
+        //  Derived items are derived again.
+        let postgres = ModelConfiguration.From({"host": "db"}).merge(
+            ModelConfiguration.From({
+                "dialect": "postgres",
+                "host": "db",
+                "database": "app"
+            })
+        );
+        Assert.strictEqual(postgres.getPort(), 5432);
+    });
+});
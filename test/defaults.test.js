@@ -0,0 +1,116 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CfgModel = require("./../configuration/model");
+const FS = require("fs");
+const OS = require("os");
+const Path = require("path");
+const Test = require("node:test");
+
+//  Imported classes.
+const ModelConfiguration = CfgModel.ModelConfiguration;
+const ModelConfigurationError = CfgModel.ModelConfigurationError;
+
+//
+//  Tests.
+//
+
+Test.describe("ModelConfiguration.SetDefaults()", function() {
+    let directory = null;
+
+    Test.afterEach(function() {
+        ModelConfiguration.SetDefaults(null);
+    });
+
+    Test.after(function() {
+        if (directory !== null) {
+            FS.rmSync(directory, {"recursive": true, "force": true});
+        }
+    });
+
+    Test.it("caches the frozen defaults until they are set", function() {
+        let defaults = ModelConfiguration.GetDefaults();
+        Assert.strictEqual(ModelConfiguration.GetDefaults(), defaults);
+        Assert.ok(Object.isFrozen(defaults));
+        Assert.ok(Object.isFrozen(defaults["pool"]));
+        Assert.throws(function() {
+            "use strict";
+            defaults["pool"]["max"] = 1;
+        }, TypeError);
+
+        ModelConfiguration.SetDefaults({"pool": {"max": 7}});
+        let swapped = ModelConfiguration.GetDefaults();
+        Assert.notStrictEqual(swapped, defaults);
+        Assert.strictEqual(swapped["pool"]["max"], 7);
+        Assert.strictEqual(swapped["pool"]["min"], defaults["pool"]["min"]);
+        Assert.strictEqual(
+            ModelConfiguration.From({}).getPoolConfiguration().getMax(),
+            7
+        );
+
+        ModelConfiguration.SetDefaults(null);
+        Assert.deepStrictEqual(ModelConfiguration.GetDefaults(), defaults);
+    });
+
+    Test.it("keeps the port of the custom defaults", function() {
+        ModelConfiguration.SetDefaults({"port": 3307});
+        Assert.strictEqual(ModelConfiguration.Default().getPort(), 3307);
+        Assert.strictEqual(
+            ModelConfiguration.From({"database": "x"}).getPort(),
+            3307
+        );
+        Assert.strictEqual(
+            ModelConfiguration.From({"port": 3308}).getPort(),
+            3308
+        );
+
+        //  Without a custom port, the port defaults to the one of the
+        //  dialect.
+        ModelConfiguration.SetDefaults({"host": "db"});
+        Assert.strictEqual(
+            ModelConfiguration.From({"database": "x"}).getPort(),
+            3306
+        );
+        Assert.strictEqual(ModelConfiguration.From({
+            "dialect": "postgres",
+            "database": "x"
+        }).getPort(), 5432);
+    });
+
+    Test.it("reads the defaults from a file", function() {
+        directory = FS.mkdtempSync(Path.join(OS.tmpdir(), "defaults-"));
+        let file = Path.join(directory, "defaults.json");
+        FS.writeFileSync(file, JSON.stringify({"host": "db", "port": 3310}));
+        ModelConfiguration.SetDefaults(file);
+        let cfg = ModelConfiguration.From({});
+        Assert.strictEqual(cfg.getHost(), "db");
+        Assert.strictEqual(cfg.getPort(), 3310);
+    });
+
+    Test.it("keeps the previous defaults if invalid", function() {
+        ModelConfiguration.SetDefaults({"pool": {"max": 7}});
+        let defaults = ModelConfiguration.GetDefaults();
+        Assert.throws(function() {
+            ModelConfiguration.SetDefaults({"pool": {"max": "x"}});
+        }, ModelConfigurationError);
+        Assert.throws(function() {
+            ModelConfiguration.SetDefaults({"pool": {"min": 9, "max": 1}});
+        }, ModelConfigurationError);
+        Assert.throws(function() {
+            ModelConfiguration.SetDefaults(1);
+        }, ModelConfigurationError);
+        Assert.throws(function() {
+            ModelConfiguration.SetDefaults(Path.join(OS.tmpdir(), "none.json"));
+        }, ModelConfigurationError);
+        Assert.strictEqual(ModelConfiguration.GetDefaults(), defaults);
+    });
+});
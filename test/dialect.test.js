@@ -0,0 +1,176 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CfgDialect = require("./../configuration/dialect");
+const CfgModel = require("./../configuration/model");
+const CrFactory = require("./../core/factory");
+const Test = require("node:test");
+
+//  Imported classes.
+const ModelConfiguration = CfgModel.ModelConfiguration;
+const ModelConfigurationError = CfgModel.ModelConfigurationError;
+const SequelizeFactory = CrFactory.SequelizeFactory;
+const SequelizeFactoryConfigurationError =
+    CrFactory.SequelizeFactoryConfigurationError;
+
+//  Imported functions.
+const GetDialectNames = CfgDialect.GetDialectNames;
+const GetDialectProfile = CfgDialect.GetDialectProfile;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Load a configuration that is expected to be invalid.
+ * 
+ *  @param {Object} cfg - The raw configuration.
+ *  @return {Array<{path: String, message: String}>} - The problems.
+ */
+function LoadProblems(cfg) {
+    try {
+        ModelConfiguration.From(cfg);
+    } catch (error) {
+        Assert.ok(error instanceof ModelConfigurationError);
+        return error.errors;
+    }
+    throw new Error("The configuration was loaded.");
+}
+
+/**
+ *  Get the paths of problems.
+ * 
+ *  @param {Array<{path: String, message: String}>} problems - The problems.
+ *  @return {String[]} - The paths.
+ */
+function GetPaths(problems) {
+    return problems.map(function(problem) {
+        return problem.path;
+    });
+}
+
+//
+//  Tests.
+//
+
+Test.describe("Dialect profiles", function() {
+    Test.it("list the supported dialects", function() {
+        Assert.deepStrictEqual(
+            GetDialectNames(),
+            ["mysql", "mariadb", "postgres", "mssql", "sqlite"]
+        );
+        Assert.strictEqual(GetDialectProfile("postgres")["driver"], "pg");
+        Assert.throws(function() {
+            GetDialectProfile("oracle");
+        }, function(error) {
+            Assert.ok(error instanceof ModelConfigurationError);
+            Assert.strictEqual(error.path, "dialect");
+            return true;
+        });
+    });
+
+    Test.it("set the default ports", function() {
+        [
+            ["mysql", 3306],
+            ["mariadb", 3306],
+            ["postgres", 5432],
+            ["mssql", 1433]
+        ].forEach(function(item) {
+            Assert.strictEqual(ModelConfiguration.From({
+                "dialect": item[0],
+                "host": "db",
+                "database": "app"
+            }).getPort(), item[1], item[0]);
+        });
+        Assert.strictEqual(ModelConfiguration.From({
+            "dialect": "postgres",
+            "host": "db",
+            "port": 6432,
+            "database": "app"
+        }).getPort(), 6432);
+
+        let cfg = ModelConfiguration.From({"dialect": "sqlite"});
+        Assert.strictEqual(cfg.getPort(), null);
+        Assert.strictEqual(cfg.getStorage(), ":memory:");
+    });
+
+    Test.it("check the dialect-specific items", function() {
+        Assert.deepStrictEqual(GetPaths(LoadProblems({
+            "dialect": "postgres",
+            "host": "db",
+            "storage": "app.db",
+            "dialect-options": {
+                "charset": "utf8"
+            },
+            "transaction": {
+                "deferrable": "SET_DEFERRED"
+            }
+        })), ["database", "storage", "dialect-options.charset"]);
+        Assert.deepStrictEqual(GetPaths(LoadProblems({
+            "dialect": "mysql",
+            "host": "db",
+            "transaction": {
+                "type": "IMMEDIATE",
+                "deferrable": "SET_DEFERRED"
+            }
+        })), ["transaction.type", "transaction.deferrable"]);
+        Assert.deepStrictEqual(GetPaths(LoadProblems({
+            "dialect": "sqlite",
+            "storage": "",
+            "ssl": {
+                "enabled": true
+            },
+            "transaction": {
+                "lock-timeout": 1000
+            }
+        })), ["storage", "ssl.enabled", "transaction.lock-timeout"]);
+        Assert.deepStrictEqual(GetPaths(LoadProblems({
+            "dialect": "mssql",
+            "host": "db",
+            "database": "app",
+            "dialect-options": {
+                "connect-timeout": 1000,
+                "multiple-statements": true
+            }
+        })), ["dialect-options.multiple-statements"]);
+    });
+});
+
+Test.describe("SequelizeFactory.create() dialects", function() {
+    Test.it("requires the driver package", async function() {
+        let factory = new SequelizeFactory();
+        try {
+            let installed = [];
+            for (let dialect of GetDialectNames()) {
+                try {
+                    await factory.create({
+                        "dialect": dialect,
+                        "host": "db",
+                        "database": "app"
+                    }, false);
+                    installed.push(dialect);
+                } catch (error) {
+                    Assert.ok(
+                        error instanceof SequelizeFactoryConfigurationError
+                    );
+                    Assert.strictEqual(error.path, "dialect");
+                    Assert.ok(error.message.includes(
+                        "npm install " + GetDialectProfile(dialect)["driver"]
+                    ), dialect);
+                }
+            }
+            Assert.ok(installed.includes("mysql"));
+        } finally {
+            await factory.shutdown({"timeout": 100});
+        }
+    });
+});
@@ -0,0 +1,170 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CfgModel = require("./../configuration/model");
+const CrFactory = require("./../core/factory");
+const FS = require("fs");
+const OS = require("os");
+const Path = require("path");
+const Test = require("node:test");
+
+//  Imported classes.
+const ModelConfiguration = CfgModel.ModelConfiguration;
+const ModelConfigurationError = CfgModel.ModelConfigurationError;
+const SequelizeFactory = CrFactory.SequelizeFactory;
+
+//
+//  Tests.
+//
+
+Test.describe("ModelConfiguration.FromEnvironment()", function() {
+    let directory = FS.mkdtempSync(Path.join(OS.tmpdir(), "environment-"));
+
+    /**
+     *  Write a temporary file.
+     * 
+     *  @param {String} name - The file name.
+     *  @param {String} content - The content.
+     *  @return {String} - The file path.
+     */
+    function WriteFile(name, content) {
+        let file = Path.join(directory, name);
+        FS.writeFileSync(file, content);
+        return file;
+    }
+
+    Test.after(function() {
+        FS.rmSync(directory, {"recursive": true, "force": true});
+    });
+
+    Test.it("overlays the variables of nested items", function() {
+        let cfg = ModelConfiguration.FromEnvironment({
+            "host": "db",
+            "pool": {
+                "max": 3,
+                "min": 1
+            }
+        }, "APP_DB_", {
+            "APP_DB_HOST": "primary",
+            "APP_DB_OMIT_NULL": "true",
+            "APP_DB_POOL__MAX": "20",
+            "APP_DB_TRANSACTION__ISOLATION_LEVEL": "SERIALIZABLE",
+            "APP_DB_TRANSACTION__RETRY_CODES": "ER_LOCK_DEADLOCK, 40001",
+            "APP_DB_LOGGING": "1",
+            "XAP_DB_PORT": "3307"
+        });
+        Assert.strictEqual(cfg.getHost(), "primary");
+        Assert.strictEqual(cfg.getPort(), 3306);
+        Assert.strictEqual(cfg.getOmitNull(), true);
+        Assert.strictEqual(cfg.getPoolConfiguration().getMax(), 20);
+        Assert.strictEqual(cfg.getPoolConfiguration().getMin(), 1);
+        Assert.strictEqual(
+            cfg.getTransactionConfiguration().getIsolationLevel(),
+            "SERIALIZABLE"
+        );
+        Assert.deepStrictEqual(
+            cfg.getTransactionConfiguration().getRetryCodes(),
+            ["ER_LOCK_DEADLOCK", "40001"]
+        );
+        Assert.strictEqual(cfg.getLoggingConfiguration().getEnabled(), true);
+    });
+
+    Test.it("reads the \"_FILE\" variables as secret files", function() {
+        let password = WriteFile("password", "secret\n");
+        let cfg = ModelConfiguration.FromEnvironment({
+            "host": "db",
+            "password": "plain"
+        }, "APP_DB_", {
+            "APP_DB_PASSWORD_FILE": password,
+            "APP_DB_POOL__MAX_FILE": WriteFile("max", "7")
+        });
+        Assert.strictEqual(cfg.getPassword(), "secret");
+        Assert.strictEqual(cfg.getPoolConfiguration().getMax(), 7);
+        Assert.deepStrictEqual(cfg.toRaw()["password"], {"file": password});
+
+        //  The variable without the suffix takes precedence.
+        cfg = ModelConfiguration.FromEnvironment({"host": "db"}, "APP_DB_", {
+            "APP_DB_PASSWORD": "direct",
+            "APP_DB_PASSWORD_FILE": password
+        });
+        Assert.strictEqual(cfg.getPassword(), "direct");
+
+        Assert.throws(function() {
+            ModelConfiguration.FromEnvironment({"host": "db"}, "APP_DB_", {
+                "APP_DB_PASSWORD_FILE": Path.join(directory, "none")
+            });
+        }, ModelConfigurationError);
+    });
+
+    Test.it("expands the URL variable", function() {
+        let cfg = ModelConfiguration.FromEnvironment({
+            "host": "db",
+            "database": "app"
+        }, "APP_DB_", {
+            "APP_DB_URL": "postgres://app@replica/reports?pool.max=9",
+            "APP_DB_POOL__MIN": "2"
+        });
+        Assert.strictEqual(cfg.getDialect(), "postgres");
+        Assert.strictEqual(cfg.getHost(), "replica");
+        Assert.strictEqual(cfg.getDatabase(), "reports");
+        Assert.strictEqual(cfg.getPoolConfiguration().getMax(), 9);
+        Assert.strictEqual(cfg.getPoolConfiguration().getMin(), 2);
+    });
+
+    Test.it("rejects the values that can't be coerced", function() {
+        [
+            ["APP_DB_POOL__MAX", "many", "pool.max"],
+            ["APP_DB_SYNC__FORCE", "yes", "sync.force"],
+            ["APP_DB_LOGGING", "on", "logging"]
+        ].forEach(function(item) {
+            let env = {};
+            env[item[0]] = item[1];
+            try {
+                ModelConfiguration.FromEnvironment({}, "APP_DB_", env);
+            } catch (error) {
+                Assert.ok(error instanceof ModelConfigurationError);
+                Assert.ok(error.message.includes(item[0]), item[0]);
+                Assert.strictEqual(error.path, item[2]);
+                return;
+            }
+            Assert.fail("The variable was accepted. (" + item[0] + ")");
+        });
+    });
+
+    Test.it("is used by SequelizeFactory.create()", async function() {
+        let factory = new SequelizeFactory();
+        let name = "SEQUELIZE_FACTORY_TEST_POOL__MAX";
+        process.env[name] = "11";
+        try {
+            let sequelize = await factory.create({"host": "db"}, false, {
+                "environment": true,
+                "environment-prefix": "SEQUELIZE_FACTORY_TEST_"
+            });
+            Assert.strictEqual(
+                factory.getConfiguration(sequelize)
+                       .getPoolConfiguration()
+                       .getMax(),
+                11
+            );
+            sequelize = await factory.create({"host": "db"}, false);
+            Assert.strictEqual(
+                factory.getConfiguration(sequelize)
+                       .getPoolConfiguration()
+                       .getMax(),
+                ModelConfiguration.Default().getPoolConfiguration().getMax()
+            );
+        } finally {
+            delete process.env[name];
+            await factory.shutdown({"timeout": 100});
+        }
+    });
+});
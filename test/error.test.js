@@ -0,0 +1,257 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CrError = require("./../core/error");
+const LibApi = require("./../library/api");
+const Sequelize = require("sequelize");
+const Test = require("node:test");
+
+//  Imported classes.
+const SequelizeFactory = LibApi.SequelizeFactory;
+const SequelizeFactoryError = LibApi.SequelizeFactoryError;
+const SequelizeFactoryAuthenticateError =
+    LibApi.SequelizeFactoryAuthenticateError;
+const SequelizeFactoryHostUnreachableError =
+    LibApi.SequelizeFactoryHostUnreachableError;
+const SequelizeFactoryAccessDeniedError =
+    LibApi.SequelizeFactoryAccessDeniedError;
+const SequelizeFactoryUnknownDatabaseError =
+    LibApi.SequelizeFactoryUnknownDatabaseError;
+const SequelizeFactoryTimeoutError = LibApi.SequelizeFactoryTimeoutError;
+
+//  Imported functions.
+const WrapAuthenticateError = CrError.WrapAuthenticateError;
+
+//
+//  Constants.
+//
+
+//  Error classes, their parent classes and codes.
+const ERROR_CLASSES = [
+    [
+        "SequelizeFactoryError",
+        null,
+        "ERR_SEQUELIZEFACTORY"
+    ],
+    [
+        "SequelizeFactoryConfigurationError",
+        "SequelizeFactoryError",
+        "ERR_SEQUELIZEFACTORY_CONFIGURATION"
+    ],
+    [
+        "SequelizeFactoryAuthenticateError",
+        "SequelizeFactoryError",
+        "ERR_SEQUELIZEFACTORY_AUTHENTICATE"
+    ],
+    [
+        "SequelizeFactoryHostUnreachableError",
+        "SequelizeFactoryAuthenticateError",
+        "ERR_SEQUELIZEFACTORY_HOST_UNREACHABLE"
+    ],
+    [
+        "SequelizeFactoryAccessDeniedError",
+        "SequelizeFactoryAuthenticateError",
+        "ERR_SEQUELIZEFACTORY_ACCESS_DENIED"
+    ],
+    [
+        "SequelizeFactoryUnknownDatabaseError",
+        "SequelizeFactoryAuthenticateError",
+        "ERR_SEQUELIZEFACTORY_UNKNOWN_DATABASE"
+    ],
+    [
+        "SequelizeFactoryTimeoutError",
+        "SequelizeFactoryAuthenticateError",
+        "ERR_SEQUELIZEFACTORY_TIMEOUT"
+    ],
+    [
+        "SequelizeFactoryReplicationError",
+        "SequelizeFactoryAuthenticateError",
+        "ERR_SEQUELIZEFACTORY_REPLICATION"
+    ],
+    [
+        "SequelizeFactoryModelError",
+        "SequelizeFactoryError",
+        "ERR_SEQUELIZEFACTORY_MODEL"
+    ],
+    [
+        "SequelizeFactorySyncError",
+        "SequelizeFactoryError",
+        "ERR_SEQUELIZEFACTORY_SYNC"
+    ],
+    [
+        "SequelizeFactoryMigrationError",
+        "SequelizeFactoryError",
+        "ERR_SEQUELIZEFACTORY_MIGRATION"
+    ],
+    [
+        "SequelizeFactoryTransactionError",
+        "SequelizeFactoryError",
+        "ERR_SEQUELIZEFACTORY_TRANSACTION"
+    ],
+    [
+        "SequelizeFactoryShutdownError",
+        "SequelizeFactoryError",
+        "ERR_SEQUELIZEFACTORY_SHUTDOWN"
+    ]
+];
+
+//
+//  Private functions.
+//
+
+/**
+ *  Create a driver error.
+ * 
+ *  @param {Object} properties - The properties (like {code: "ENOTFOUND"}).
+ *  @return {Error} - The error.
+ */
+function CreateDriverError(properties) {
+    return Object.assign(new Error("Driver error."), properties);
+}
+
+//
+//  Tests.
+//
+
+Test.describe("Error classes", function() {
+    Test.it("are exported subclasses with codes", function() {
+        ERROR_CLASSES.forEach(function(item) {
+            let cls = LibApi[item[0]];
+            Assert.strictEqual(typeof(cls), "function", item[0]);
+            let error = new cls("Failed.");
+            Assert.ok(error instanceof Error, item[0]);
+            Assert.ok(error instanceof SequelizeFactoryError, item[0]);
+            if (item[1] !== null) {
+                Assert.ok(error instanceof LibApi[item[1]], item[0]);
+            }
+            Assert.strictEqual(error.name, item[0]);
+            Assert.strictEqual(error.code, item[2]);
+            Assert.strictEqual(error.message, "Failed.");
+            Assert.strictEqual(error.cause, null);
+            Assert.ok(error.stack.includes("Failed."), item[0]);
+        });
+    });
+
+    Test.it("keep the causes and the attempts", function() {
+        let cause = new Error("Refused.");
+        let error = new SequelizeFactoryAuthenticateError("Failed.", cause);
+        Assert.strictEqual(error.cause, cause);
+        Assert.deepStrictEqual(error.attempts, [cause]);
+        Assert.deepStrictEqual(
+            new SequelizeFactoryAuthenticateError("Failed.").attempts,
+            []
+        );
+
+        let errors = [{"path": "pool.max", "message": "Invalid."}];
+        error = new LibApi.SequelizeFactoryConfigurationError(
+            "Invalid.",
+            "pool.max",
+            null,
+            errors
+        );
+        Assert.strictEqual(error.path, "pool.max");
+        Assert.strictEqual(error.errors, errors);
+        Assert.deepStrictEqual(
+            new LibApi.SequelizeFactoryConfigurationError("Invalid.").errors,
+            [{"path": null, "message": "Invalid."}]
+        );
+    });
+});
+
+Test.describe("WrapAuthenticateError()", function() {
+    Test.it("categorizes the errors", function() {
+        [
+            [
+                new Sequelize.ConnectionRefusedError(
+                    CreateDriverError({"code": "ECONNREFUSED"})
+                ),
+                SequelizeFactoryHostUnreachableError
+            ],
+            [
+                new Sequelize.ConnectionError(
+                    CreateDriverError({"code": "ENOTFOUND"})
+                ),
+                SequelizeFactoryHostUnreachableError
+            ],
+            [
+                new Sequelize.AccessDeniedError(
+                    CreateDriverError({"code": "ER_ACCESS_DENIED_ERROR"})
+                ),
+                SequelizeFactoryAccessDeniedError
+            ],
+            [
+                new Sequelize.ConnectionError(
+                    CreateDriverError({"code": "28P01"})
+                ),
+                SequelizeFactoryAccessDeniedError
+            ],
+            [
+                new Sequelize.ConnectionError(
+                    CreateDriverError({"code": "ER_BAD_DB_ERROR"})
+                ),
+                SequelizeFactoryUnknownDatabaseError
+            ],
+            [
+                new Sequelize.ConnectionError(
+                    CreateDriverError({"number": 4060})
+                ),
+                SequelizeFactoryUnknownDatabaseError
+            ],
+            [
+                new Sequelize.ConnectionTimedOutError(
+                    CreateDriverError({})
+                ),
+                SequelizeFactoryTimeoutError
+            ],
+            [
+                CreateDriverError({"code": "PROTOCOL_SEQUENCE_TIMEOUT"}),
+                SequelizeFactoryTimeoutError
+            ],
+            [
+                new Sequelize.ConnectionError(
+                    CreateDriverError({"code": "ER_CON_COUNT_ERROR"})
+                ),
+                SequelizeFactoryAuthenticateError
+            ]
+        ].forEach(function(item, index) {
+            let wrapped = WrapAuthenticateError(item[0]);
+            Assert.strictEqual(wrapped.constructor, item[1], String(index));
+            Assert.strictEqual(wrapped.cause, item[0]);
+            Assert.strictEqual(wrapped.message, item[0].message);
+        });
+    });
+
+    Test.it("keeps the message and the attempts", function() {
+        let first = new Error("First.");
+        let last = CreateDriverError({"code": "ECONNREFUSED"});
+        let wrapped = WrapAuthenticateError(last, "Failed.", [first, last]);
+        Assert.ok(wrapped instanceof SequelizeFactoryHostUnreachableError);
+        Assert.strictEqual(wrapped.message, "Failed.");
+        Assert.deepStrictEqual(wrapped.attempts, [first, last]);
+        Assert.strictEqual(
+            WrapAuthenticateError(null).message,
+            "Unknown error."
+        );
+    });
+
+    Test.it("is applied by SequelizeFactory.create()", async function() {
+        let factory = new SequelizeFactory();
+        try {
+            await Assert.rejects(factory.create({
+                "host": "127.0.0.1",
+                "port": 1
+            }), SequelizeFactoryHostUnreachableError);
+        } finally {
+            await factory.shutdown({"timeout": 100});
+        }
+    });
+});
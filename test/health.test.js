@@ -0,0 +1,285 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CrFactory = require("./../core/factory");
+const Http = require("http");
+const Test = require("node:test");
+
+//  Imported classes.
+const SequelizeFactory = CrFactory.SequelizeFactory;
+const SequelizeFactoryConfigurationError =
+    CrFactory.SequelizeFactoryConfigurationError;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Wait for specific time.
+ * 
+ *  @param {Number} ms - The time, in milliseconds.
+ *  @return {Promise<void>} - The promise object (resolves when timed out).
+ */
+function Sleep(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+/**
+ *  Create a pool that only has the counters.
+ * 
+ *  @param {Number} using - The count of in-use connections.
+ *  @param {Number} waiting - The count of waiting requests.
+ *  @return {Object} - The pool.
+ */
+function CreatePool(using, waiting) {
+    return {
+        "size": using + 1,
+        "available": 1,
+        "using": using,
+        "waiting": waiting
+    };
+}
+
+/**
+ *  Send a GET request.
+ * 
+ *  @param {Http.Server} server - The (listening) server.
+ *  @return {Promise<{status: Number, headers: Object, body: Object}>}
+ *      - The promise object (resolves with the response).
+ */
+function Get(server) {
+    return new Promise(function(resolve, reject) {
+        Http.get({
+            "host": "127.0.0.1",
+            "port": server.address().port,
+            "path": "/health"
+        }, function(response) {
+            let chunks = [];
+            response.on("data", function(chunk) {
+                chunks.push(chunk);
+            });
+            response.on("end", function() {
+                resolve({
+                    "status": response.statusCode,
+                    "headers": response.headers,
+                    "body": JSON.parse(Buffer.concat(chunks).toString())
+                });
+            });
+        }).on("error", reject);
+    });
+}
+
+//
+//  Tests.
+//
+
+Test.describe("SequelizeHealthChecker", function() {
+    let factory = new SequelizeFactory();
+
+    /**
+     *  Create a sequelize object (without connecting) whose ping, pool and
+     *  close() are replaced.
+     * 
+     *  @param {Object} cfg - The raw configuration.
+     *  @param {?Number} latency - The ping latency (NULL if fails).
+     *  @param {Object} pool - The pool (or the read and write pools).
+     *  @return {Promise<Sequelize>} - The promise object (resolves the
+     *                                 sequelize object).
+     */
+    async function CreateSequelize(cfg, latency, pool) {
+        let sequelize = await factory.create(Object.assign({
+            "host": "db",
+            "database": "app",
+            "pool": {
+                "max": 4
+            }
+        }, cfg), false);
+        sequelize.databaseVersion = async function() {
+            if (latency === null) {
+                let error = new Error("Connection refused.");
+                error.parent = {"code": "ECONNREFUSED"};
+                throw error;
+            }
+            await Sleep(latency);
+            return "8.0.23";
+        };
+        sequelize.connectionManager.pool = pool;
+        sequelize.close = async function() {};
+        return sequelize;
+    }
+
+    Test.after(async function() {
+        await factory.shutdown({"timeout": 100});
+    });
+
+    Test.it("reports healthy databases", async function() {
+        let sequelize = await CreateSequelize({}, 0, CreatePool(1, 0));
+        let checker = factory.getHealthChecker(sequelize);
+        Assert.strictEqual(factory.getHealthChecker(sequelize), checker);
+        let report = await checker.check();
+        Assert.strictEqual(report["status"], "healthy");
+        Assert.deepStrictEqual(report["reasons"], []);
+        Assert.strictEqual(report["database"], "app");
+        Assert.strictEqual(report["dialect"], "mysql");
+        Assert.strictEqual(report["version"], "8.0.23");
+        Assert.strictEqual(typeof(report["latency"]), "number");
+        Assert.deepStrictEqual(report["pool"], {
+            "size": 2,
+            "available": 1,
+            "using": 1,
+            "waiting": 0,
+            "max": 4,
+            "min": 0
+        });
+        Assert.strictEqual(report["replication"], null);
+        Assert.strictEqual(report["error"], null);
+    });
+
+    Test.it("reports the reached thresholds", async function() {
+        let sequelize = await CreateSequelize({
+            "health": {
+                "degraded-latency": 20,
+                "degraded-pool-usage": 0.75,
+                "degraded-pool-waiting": 2
+            }
+        }, 30, CreatePool(3, 2));
+        let report = await factory.getHealthChecker(sequelize).check();
+        Assert.strictEqual(report["status"], "degraded");
+        Assert.strictEqual(report["reasons"].length, 3);
+        Assert.match(report["reasons"][0], /^Ping latency \d+ms exceeds 20ms/);
+        Assert.strictEqual(
+            report["reasons"][1],
+            "Pool usage 3/4 reaches 75%."
+        );
+        Assert.strictEqual(
+            report["reasons"][2],
+            "2 request(s) waiting for a connection."
+        );
+
+        //  Zero disables the thresholds.
+        sequelize = await CreateSequelize({
+            "health": {
+                "degraded-latency": 0,
+                "degraded-pool-usage": 0,
+                "degraded-pool-waiting": 0
+            }
+        }, 30, CreatePool(4, 5));
+        report = await factory.getHealthChecker(sequelize).check();
+        Assert.strictEqual(report["status"], "healthy");
+    });
+
+    Test.it("reports unhealthy databases", async function() {
+        let sequelize = await CreateSequelize({}, null, CreatePool(0, 0));
+        let checker = factory.getHealthChecker(sequelize);
+        let report = await checker.check();
+        Assert.strictEqual(report["status"], "unhealthy");
+        Assert.deepStrictEqual(report["reasons"], [
+            "Ping failed: Connection refused."
+        ]);
+        Assert.strictEqual(report["latency"], null);
+        Assert.strictEqual(report["error"]["code"], "ECONNREFUSED");
+
+        //  The last error is kept after recovered.
+        sequelize.databaseVersion = async function() {
+            return "8.0.23";
+        };
+        report = await checker.check();
+        Assert.strictEqual(report["status"], "healthy");
+        Assert.strictEqual(report["error"]["message"], "Connection refused.");
+
+        sequelize = await CreateSequelize({
+            "health": {
+                "timeout": 20
+            }
+        }, 1000, CreatePool(0, 0));
+        report = await factory.getHealthChecker(sequelize).check();
+        Assert.strictEqual(report["status"], "unhealthy");
+        Assert.strictEqual(report["error"]["code"], "ETIMEDOUT");
+    });
+
+    Test.it("pings the read replicas", async function() {
+        let sequelize = await CreateSequelize({
+            "replication": {
+                "read": [{"host": "replica"}]
+            }
+        }, 0, {
+            "read": CreatePool(2, 0),
+            "write": CreatePool(1, 0)
+        });
+        let queries = [];
+        sequelize.query = async function(sql, options) {
+            queries.push([sql, options["type"]]);
+            throw new Error("Replica down.");
+        };
+        let report = await factory.getHealthChecker(sequelize).check();
+        Assert.strictEqual(report["status"], "degraded");
+        Assert.deepStrictEqual(report["reasons"], [
+            "Read replica ping failed: Replica down."
+        ]);
+        Assert.strictEqual(report["pool"]["using"], 1);
+        Assert.strictEqual(report["replication"]["pool"]["using"], 2);
+        Assert.strictEqual(report["replication"]["latency"], null);
+        Assert.strictEqual(
+            report["replication"]["error"]["message"],
+            "Replica down."
+        );
+        Assert.deepStrictEqual(queries, [["SELECT 1", "SELECT"]]);
+    });
+
+    Test.it("serves the report over HTTP", async function() {
+        let healthy = await CreateSequelize({}, 0, CreatePool(0, 0));
+        let unhealthy = await CreateSequelize({}, null, CreatePool(0, 0));
+        for (let item of [[healthy, 200], [unhealthy, 503]]) {
+            let server = Http.createServer(
+                factory.getHealthChecker(item[0]).createHttpHandler()
+            );
+            await new Promise(function(resolve) {
+                server.listen(0, "127.0.0.1", resolve);
+            });
+            try {
+                let response = await Get(server);
+                Assert.strictEqual(response.status, item[1]);
+                Assert.strictEqual(
+                    response.headers["content-type"],
+                    "application/json"
+                );
+                Assert.strictEqual(
+                    response.headers["cache-control"],
+                    "no-store"
+                );
+                Assert.strictEqual(response.body["database"], "app");
+            } finally {
+                await new Promise(function(resolve) {
+                    server.close(resolve);
+                });
+            }
+        }
+    });
+
+    Test.it("rejects invalid configurations", async function() {
+        for (let health of [
+            {"timeout": 0},
+            {"degraded-latency": -1},
+            {"degraded-pool-usage": 1.5}
+        ]) {
+            await Assert.rejects(factory.create({
+                "host": "db",
+                "health": health
+            }, false), SequelizeFactoryConfigurationError);
+        }
+        Assert.throws(function() {
+            factory.getHealthChecker({});
+        }, SequelizeFactoryConfigurationError);
+    });
+});
@@ -0,0 +1,219 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CfgKeys = require("./../configuration/keys");
+const CfgModel = require("./../configuration/model");
+const CfgRaw = require("./../configuration/raw");
+const CrFactory = require("./../core/factory");
+const Test = require("node:test");
+
+//  Imported classes.
+const ModelConfiguration = CfgModel.ModelConfiguration;
+const ModelConfigurationError = CfgModel.ModelConfigurationError;
+const SequelizeFactory = CrFactory.SequelizeFactory;
+const SequelizeFactoryConfigurationError =
+    CrFactory.SequelizeFactoryConfigurationError;
+
+//  Imported functions.
+const MergeRawConfiguration = CfgRaw.MergeRawConfiguration;
+const ResolveRawKeys = CfgKeys.ResolveRawKeys;
+const SuggestKey = CfgKeys.SuggestKey;
+const ToKebabCaseKey = CfgRaw.ToKebabCaseKey;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Assert that loading a configuration fails.
+ * 
+ *  @param {Object} cfg - The raw configuration.
+ *  @param {Boolean} strict - True if unknown keys are rejected.
+ *  @param {String} path - The expected error path.
+ *  @param {String} message - The expected error message.
+ */
+function AssertRejected(cfg, strict, path, message) {
+    Assert.throws(function() {
+        ModelConfiguration.From(cfg, strict);
+    }, function(error) {
+        Assert.ok(error instanceof ModelConfigurationError);
+        Assert.strictEqual(error.path, path);
+        Assert.strictEqual(error.message, message);
+        return true;
+    }, path);
+}
+
+//
+//  Tests.
+//
+
+Test.describe("Key aliases", function() {
+    Test.it("converts camelCase keys", function() {
+        Assert.strictEqual(ToKebabCaseKey("omitNull"), "omit-null");
+        Assert.strictEqual(
+            ToKebabCaseKey("retryBackoffMax"),
+            "retry-backoff-max"
+        );
+        Assert.strictEqual(ToKebabCaseKey("omit-null"), "omit-null");
+        Assert.strictEqual(ToKebabCaseKey("host"), "host");
+    });
+
+    Test.it("accepts the camelCase aliases", function() {
+        let cfg = ModelConfiguration.From({
+            "host": "db",
+            "omitNull": true,
+            "sync": {
+                "enabled": true,
+                "alter": true
+            },
+            "pool": {
+                "max": 8
+            },
+            "transaction": {
+                "isolationLevel": "SERIALIZABLE",
+                "retryMax": 2
+            },
+            "retry": {
+                "backoffBase": 50
+            }
+        }, true);
+        Assert.strictEqual(cfg.getOmitNull(), true);
+        Assert.strictEqual(cfg.getPoolConfiguration().getMax(), 8);
+        let transaction = cfg.getTransactionConfiguration();
+        Assert.strictEqual(transaction.getIsolationLevel(), "SERIALIZABLE");
+        Assert.strictEqual(transaction.getRetryMax(), 2);
+        Assert.strictEqual(cfg.getRetryConfiguration().getBackoffBase(), 50);
+    });
+
+    Test.it("rejects items given in both spellings", function() {
+        AssertRejected(
+            {"host": "db", "omitNull": true, "omit-null": false},
+            false,
+            "omit-null",
+            "Item \"omit-null\" is given twice (also as \"omitNull\")."
+        );
+        AssertRejected(
+            {
+                "host": "db",
+                "transaction": {
+                    "isolation-level": "SERIALIZABLE",
+                    "isolationLevel": "SERIALIZABLE"
+                }
+            },
+            false,
+            "transaction.isolation-level",
+            "Item \"isolation-level\" is given twice (also as " +
+            "\"isolationLevel\")."
+        );
+    });
+
+    Test.it("lets later layers override either spelling", function() {
+        Assert.deepStrictEqual(MergeRawConfiguration(
+            {"omitNull": true, "pool": {"max": 5}},
+            {"omit-null": false, "pool": {"max": 8}}
+        ), {"omit-null": false, "pool": {"max": 8}});
+        Assert.deepStrictEqual(MergeRawConfiguration(
+            {"transaction": {"isolation-level": "READ_COMMITTED"}},
+            {"transaction": {"isolationLevel": "SERIALIZABLE"}}
+        ), {"transaction": {"isolationLevel": "SERIALIZABLE"}});
+
+        let cfg = ModelConfiguration.FromEnvironment({
+            "host": "db",
+            "omitNull": true
+        }, "TEST_DB_", {
+            "TEST_DB_OMIT_NULL": "false"
+        }, true);
+        Assert.strictEqual(cfg.getOmitNull(), false);
+    });
+});
+
+Test.describe("Strict mode", function() {
+    Test.it("suggests the closest known key", function() {
+        Assert.strictEqual(SuggestKey("maximum", ["max", "min"]), "max");
+        Assert.strictEqual(SuggestKey("hots", ["host", "port"]), "host");
+        Assert.strictEqual(
+            SuggestKey("omitNul", ["omit-null", "host"]),
+            "omit-null"
+        );
+        Assert.strictEqual(SuggestKey("abc", ["omit-null", "host"]), null);
+    });
+
+    Test.it("resolves the keys of a section", function() {
+        let cfg = {"maxUses": 1, "max": 2, "unknown": 3};
+        let known = ["max", "max-uses"];
+        Assert.deepStrictEqual(ResolveRawKeys(cfg, known, false), {
+            "max-uses": 1,
+            "max": 2,
+            "unknown": 3
+        });
+        Assert.deepStrictEqual(cfg, {"maxUses": 1, "max": 2, "unknown": 3});
+        Assert.strictEqual(ResolveRawKeys(null, ["max"], true), null);
+    });
+
+    Test.it("rejects unknown keys", function() {
+        AssertRejected(
+            {"host": "db", "pool": {"maximum": 20}},
+            true,
+            "pool.maximum",
+            "Unknown item \"maximum\". (did you mean \"max\"?)"
+        );
+        AssertRejected(
+            {"hots": "db"},
+            true,
+            "hots",
+            "Unknown item \"hots\". (did you mean \"host\"?)"
+        );
+        Assert.throws(function() {
+            ModelConfiguration.From({"host": "db", "zzzzzzzz": 1}, true);
+        }, function(error) {
+            Assert.strictEqual(error.path, "zzzzzzzz");
+            Assert.ok(error.message.includes("(known = [\"host\","));
+            return true;
+        });
+
+        //  Unknown keys are ignored if not in strict mode.
+        Assert.strictEqual(ModelConfiguration.From({
+            "host": "db",
+            "pool": {
+                "maximum": 20
+            }
+        }).getPoolConfiguration().getMax(), 5);
+    });
+});
+
+Test.describe("SequelizeFactory.create() strict", function() {
+    Test.it("rejects unknown keys if \"strict\"", async function() {
+        let factory = new SequelizeFactory();
+        try {
+            let cfg = {
+                "host": "db",
+                "pool": {
+                    "maximum": 20
+                }
+            };
+            await Assert.rejects(factory.create(cfg, false, {
+                "strict": true
+            }), function(error) {
+                Assert.ok(error instanceof SequelizeFactoryConfigurationError);
+                Assert.strictEqual(error.path, "pool.maximum");
+                Assert.ok(error.message.includes("did you mean \"max\""));
+                return true;
+            });
+            await factory.create(cfg, false);
+            await Assert.rejects(factory.create(cfg, false, {
+                "strict": "yes"
+            }), /Invalid factory options/);
+        } finally {
+            await factory.shutdown({"timeout": 100});
+        }
+    });
+});
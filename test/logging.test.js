@@ -0,0 +1,208 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CfgModel = require("./../configuration/model");
+const CrFactory = require("./../core/factory");
+const CrLogging = require("./../core/logging");
+const Test = require("node:test");
+
+//  Imported classes.
+const ModelConfiguration = CfgModel.ModelConfiguration;
+const ModelConfigurationError = CfgModel.ModelConfigurationError;
+const SequelizeFactory = CrFactory.SequelizeFactory;
+
+//  Imported functions.
+const CreateQueryLogger = CrLogging.CreateQueryLogger;
+const GetLoggingSecrets = CrLogging.GetLoggingSecrets;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Create a logger target that records the records.
+ * 
+ *  @return {{debug: Function, info: Function, warn: Function, records: Array}}
+ *      - The logger target.
+ */
+function CreateLogger() {
+    let records = [];
+    let rst = {
+        "records": records
+    };
+    ["debug", "info", "warn"].forEach(function(level) {
+        rst[level] = function(record) {
+            records.push([level, record]);
+        };
+    });
+    return rst;
+}
+
+/**
+ *  Create a query logger.
+ * 
+ *  @param {Object} logging - The raw logging configuration (the logger
+ *                            target is set by this function).
+ *  @param {Object} [cfg] - The other raw configuration items.
+ *  @return {{log: Function, records: Array}} - The query logger and the
+ *                                              records it emitted.
+ */
+function CreateLog(logging, cfg = {}) {
+    let logger = CreateLogger();
+    let modelCfg = ModelConfiguration.From(Object.assign({
+        "host": "db",
+        "database": "app",
+        "password": "it's\\secret",
+        "logging": Object.assign({
+            "enabled": true,
+            "logger": logger
+        }, logging)
+    }, cfg));
+    return {
+        "log": CreateQueryLogger(modelCfg),
+        "records": logger.records
+    };
+}
+
+//
+//  Tests.
+//
+
+Test.describe("CreateQueryLogger()", function() {
+    Test.it("is disabled by default", function() {
+        Assert.strictEqual(
+            CreateQueryLogger(ModelConfiguration.From({"host": "db"})),
+            false
+        );
+    });
+
+    Test.it("emits structured records", function() {
+        let logger = CreateLog({});
+        logger.log("Executing (default): SELECT 1");
+        logger.log("Executed (tx-1): SELECT ?", 12, {"bind": [7]});
+        logger.log("Connection established.");
+        Assert.deepStrictEqual(logger.records, [
+            ["debug", {
+                "message": "Executing query.",
+                "sql": "SELECT 1",
+                "duration": null,
+                "slow": false,
+                "connection": "default",
+                "database": "app"
+            }],
+            ["debug", {
+                "message": "Executed query.",
+                "sql": "SELECT ?",
+                "duration": 12,
+                "slow": false,
+                "connection": "tx-1",
+                "database": "app",
+                "parameters": ["[REDACTED]"]
+            }],
+            ["info", {
+                "message": "Connection established.",
+                "database": "app"
+            }]
+        ]);
+    });
+
+    Test.it("redacts the passwords", function() {
+        let logger = CreateLog({
+            "redact-parameters": false
+        }, {
+            "replication": {
+                "read": [{"host": "replica", "password": "r3plica"}]
+            }
+        });
+        logger.log(
+            "Executing (default): SET PASSWORD = 'it\\'s\\\\secret', " +
+            "'it''s\\secret', 'r3plica'",
+            {"bind": {"a": "it's\\secret", "b": 1}}
+        );
+        let record = logger.records[0][1];
+        Assert.strictEqual(
+            record["sql"],
+            "SET PASSWORD = '[REDACTED]', '[REDACTED]', '[REDACTED]'"
+        );
+        Assert.deepStrictEqual(record["parameters"], {
+            "a": "[REDACTED]",
+            "b": 1
+        });
+    });
+
+    Test.it("logs slow queries at \"warn\" level", function() {
+        let logger = CreateLog({
+            "level": "warn",
+            "slow-query": 100,
+            "benchmark": true
+        });
+        logger.log("Executed (default): SELECT 1", 99);
+        logger.log("Executed (default): SELECT 2", 100);
+        logger.log("Connection established.");
+        Assert.deepStrictEqual(logger.records.map(function(item) {
+            return [item[0], item[1]["sql"], item[1]["slow"]];
+        }), [["warn", "SELECT 2", true]]);
+
+        logger = CreateLog({"level": "info"});
+        logger.log("Executed (default): SELECT 1", 5000);
+        logger.log("Connection established.");
+        Assert.deepStrictEqual(logger.records.map(function(item) {
+            return item[0];
+        }), ["info"]);
+    });
+
+    Test.it("rejects invalid items", function() {
+        [
+            {"level": "error"},
+            {"slow-query": -1},
+            {"logger": {"debug": function() {}}}
+        ].forEach(function(logging) {
+            Assert.throws(function() {
+                ModelConfiguration.From({"logging": logging});
+            }, ModelConfigurationError, JSON.stringify(Object.keys(logging)));
+        });
+    });
+});
+
+Test.describe("GetLoggingSecrets()", function() {
+    Test.it("collects the passwords of all endpoints", function() {
+        Assert.deepStrictEqual(GetLoggingSecrets(ModelConfiguration.From({
+            "host": "db",
+            "password": "a",
+            "replication": {
+                "read": [{"password": "b"}, {"host": "c"}, {"password": ""}]
+            }
+        })), ["a", "b"]);
+    });
+});
+
+Test.describe("SequelizeFactory.create() logging", function() {
+    Test.it("sets the logging options", async function() {
+        let factory = new SequelizeFactory();
+        try {
+            let sequelize = await factory.create({
+                "host": "db",
+                "logging": {
+                    "enabled": true,
+                    "logger": CreateLogger(),
+                    "benchmark": true
+                }
+            }, false);
+            Assert.strictEqual(typeof(sequelize.options.logging), "function");
+            Assert.strictEqual(sequelize.options.benchmark, true);
+            sequelize = await factory.create({"host": "db"}, false);
+            Assert.strictEqual(sequelize.options.logging, false);
+        } finally {
+            await factory.shutdown({"timeout": 100});
+        }
+    });
+});
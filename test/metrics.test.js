@@ -0,0 +1,183 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CrMetrics = require("./../core/metrics");
+const Sequelize = require("sequelize");
+const Test = require("node:test");
+
+//  Imported classes.
+const SequelizeMetrics = CrMetrics.SequelizeMetrics;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Create a fake sequelize object.
+ * 
+ *  @param {Object} pool
+ *      - The pool counters ({using, available, waiting}).
+ *  @return {Object}
+ *      - The fake object (query() fails if the SQL starts with "FAIL",
+ *        getConnection() times out if "pool.timeout" is true).
+ */
+function CreateSequelize(pool) {
+    return {
+        "connectionManager": {
+            "pool": pool,
+            "getConnection": async function() {
+                if (pool.timeout) {
+                    throw new Sequelize.ConnectionAcquireTimeoutError(
+                        new Error("Timed out.")
+                    );
+                }
+                return {};
+            }
+        },
+        "query": async function(sql) {
+            if (sql.startsWith("FAIL")) {
+                let error = new Error("Deadlock.");
+                error.parent = {"code": "ER_LOCK_DEADLOCK"};
+                throw error;
+            }
+            return [];
+        },
+        "close": async function() {}
+    };
+}
+
+/**
+ *  Get the lines of the Prometheus text that start with specific prefix.
+ * 
+ *  @param {SequelizeMetrics} metrics - The metrics.
+ *  @param {String} prefix - The prefix.
+ *  @return {String[]} - The lines.
+ */
+function GetLines(metrics, prefix) {
+    return metrics.toPrometheus().split("\n").filter(function(line) {
+        return line.startsWith(prefix);
+    });
+}
+
+//
+//  Tests.
+//
+
+Test.describe("SequelizeMetrics", function() {
+    Test.it("exports the metrics in Prometheus format", async function() {
+        let metrics = new SequelizeMetrics();
+        let pool = {"using": 1, "available": 2, "waiting": 3};
+        let sequelize = CreateSequelize(pool);
+        metrics.instrument(sequelize, "app\"1", 5);
+
+        await sequelize.connectionManager.getConnection();
+        pool.timeout = true;
+        await Assert.rejects(sequelize.connectionManager.getConnection());
+        await sequelize.query("SELECT 1", {"type": "SELECT"});
+        await sequelize.query("SELECT 1");
+        await Assert.rejects(sequelize.query("FAIL"));
+
+        let text = metrics.toPrometheus();
+        Assert.ok(text.endsWith("\n"));
+        Assert.ok(text.includes(
+            "# TYPE sequelize_pool_acquire_duration_seconds histogram\n"
+        ));
+        Assert.deepStrictEqual(
+            GetLines(metrics, "sequelize_pool_acquire_duration_seconds_count"),
+            ["sequelize_pool_acquire_duration_seconds_count" +
+             "{database=\"app\\\"1\"} 1"]
+        );
+        Assert.deepStrictEqual(
+            GetLines(metrics, "sequelize_pool_acquire_timeouts_total"),
+            ["sequelize_pool_acquire_timeouts_total{database=\"app\\\"1\"} 1"]
+        );
+        Assert.deepStrictEqual(
+            GetLines(metrics, "sequelize_pool_active_connections"),
+            ["sequelize_pool_active_connections{database=\"app\\\"1\"} 1"]
+        );
+        Assert.deepStrictEqual(
+            GetLines(metrics, "sequelize_pool_waiting_requests"),
+            ["sequelize_pool_waiting_requests{database=\"app\\\"1\"} 3"]
+        );
+        Assert.deepStrictEqual(
+            GetLines(metrics, "sequelize_query_duration_seconds_count"),
+            [
+                "sequelize_query_duration_seconds_count" +
+                "{database=\"app\\\"1\",operation=\"select\"} 1",
+                "sequelize_query_duration_seconds_count" +
+                "{database=\"app\\\"1\",operation=\"raw\"} 2"
+            ]
+        );
+        Assert.deepStrictEqual(
+            GetLines(metrics, "sequelize_query_errors_total"),
+            [
+                "sequelize_query_errors_total" +
+                "{database=\"app\\\"1\",code=\"ER_LOCK_DEADLOCK\"} 1"
+            ]
+        );
+
+        //  The buckets are cumulative.
+        let buckets = GetLines(
+            metrics,
+            "sequelize_query_duration_seconds_bucket{database=\"app\\\"1\"," +
+            "operation=\"raw\""
+        );
+        Assert.strictEqual(buckets.length, 13);
+        Assert.ok(buckets[buckets.length - 1].endsWith(",le=\"+Inf\"} 2"));
+
+        //  Closed sequelize objects are no longer collected.
+        await sequelize.close();
+        Assert.deepStrictEqual(
+            GetLines(metrics, "sequelize_pool_active_connections{"),
+            []
+        );
+    });
+
+    Test.it("emits the events", async function() {
+        let metrics = new SequelizeMetrics();
+        let sequelize = CreateSequelize({});
+        let events = [];
+        metrics.on("acquire", function(record) {
+            events.push(["acquire", record["database"], record["timeout"]]);
+        });
+        metrics.on("query", function(record) {
+            events.push(["query", record["operation"], record["error"]]);
+        });
+        metrics.instrument(sequelize, "app", 5);
+        await sequelize.connectionManager.getConnection();
+        await sequelize.query("SELECT 1", {"type": "SELECT"});
+        await Assert.rejects(sequelize.query("FAIL"));
+        Assert.deepStrictEqual(events, [
+            ["acquire", "app", false],
+            ["query", "select", null],
+            ["query", "raw", "ER_LOCK_DEADLOCK"]
+        ]);
+    });
+
+    Test.it("ignores the errors of the listeners", async function() {
+        let metrics = new SequelizeMetrics();
+        let sequelize = CreateSequelize({});
+        metrics.on("acquire", function() {
+            throw new Error("Listener failed.");
+        });
+        metrics.on("query", function() {
+            throw new Error("Listener failed.");
+        });
+        metrics.instrument(sequelize, "app", 5);
+        Assert.deepStrictEqual(
+            await sequelize.connectionManager.getConnection(),
+            {}
+        );
+        Assert.deepStrictEqual(await sequelize.query("SELECT 1"), []);
+        await Assert.rejects(sequelize.query("FAIL"), /Deadlock/);
+    });
+});
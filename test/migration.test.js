@@ -0,0 +1,235 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CrError = require("./../core/error");
+const CrFactory = require("./../core/factory");
+const FS = require("fs");
+const OS = require("os");
+const Path = require("path");
+const Sequelize = require("sequelize");
+const Test = require("node:test");
+
+//  Imported classes.
+const SequelizeFactory = CrFactory.SequelizeFactory;
+const SequelizeFactoryMigrationError = CrError.SequelizeFactoryMigrationError;
+
+//
+//  Constants.
+//
+
+//  The source of a migration that succeeds.
+const MIGRATION_OK = "module.exports = {\n" +
+    "    \"up\": async function() {},\n" +
+    "    \"down\": async function() {}\n" +
+    "};\n";
+
+//  The source of a migration that fails.
+const MIGRATION_FAIL = "module.exports = {\n" +
+    "    \"up\": async function() {\n" +
+    "        throw new Error(\"Failed.\");\n" +
+    "    },\n" +
+    "    \"down\": async function() {}\n" +
+    "};\n";
+
+//
+//  Tests.
+//
+
+Test.describe("SequelizeMigrator", function() {
+    let factory = new SequelizeFactory();
+    let directories = [];
+
+    /**
+     *  Create a sequelize object (without connecting) whose query interface
+     *  works on an in-memory database.
+     * 
+     *  @param {Object<String, String>} files
+     *      - The migration files (name => source).
+     *  @param {Object} [migration]
+     *      - The "migration" section.
+     *  @return {Promise<Object>}
+     *      - The promise object (resolves the sequelize object with the
+     *        database as its "db" property).
+     */
+    async function CreateSequelize(files, migration = {}) {
+        let directory = FS.mkdtempSync(Path.join(OS.tmpdir(), "migration-"));
+        directories.push(directory);
+        for (let name in files) {
+            FS.writeFileSync(Path.join(directory, name), files[name]);
+        }
+
+        let sequelize = await factory.create({
+            "host": "db",
+            "migration": Object.assign({
+                "directory": directory,
+                "lock-wait": 50,
+                "lock-interval": 10
+            }, migration)
+        }, false);
+        let db = {
+            "executed": new Set(),
+            "lock": null,
+            "transactions": [],
+            "unlockError": null
+        };
+        let queryInterface = sequelize.getQueryInterface();
+        queryInterface.createTable = async function() {};
+        queryInterface.bulkInsert = async function(table, rows) {
+            if (table == "SequelizeMetaLock") {
+                if (db.lock !== null) {
+                    throw new Sequelize.UniqueConstraintError({});
+                }
+                db.lock = rows[0];
+            } else {
+                db.executed.add(rows[0]["name"]);
+            }
+        };
+        queryInterface.bulkDelete = async function(table, where) {
+            if (table == "SequelizeMetaLock") {
+                if (db.unlockError !== null) {
+                    throw db.unlockError;
+                }
+                if (db.lock !== null && db.lock["owner"] == where["owner"]) {
+                    db.lock = null;
+                }
+            } else {
+                db.executed.delete(where["name"]);
+            }
+        };
+        sequelize.query = async function(sql) {
+            if (sql.indexOf("SequelizeMetaLock") >= 0) {
+                return (db.lock === null ? [] : [db.lock]);
+            }
+            return Array.from(db.executed).map(function(name) {
+                return {"name": name};
+            });
+        };
+        sequelize.transaction = async function(options, fn) {
+            db.transactions.push(options);
+            let executed = new Set(db.executed);
+            try {
+                return await fn({});
+            } catch (error) {
+                db.executed = executed;
+                throw error;
+            }
+        };
+        sequelize.db = db;
+        return sequelize;
+    }
+
+    Test.after(async function() {
+        await factory.shutdown({"timeout": 100});
+        directories.forEach(function(directory) {
+            FS.rmSync(directory, {"recursive": true, "force": true});
+        });
+    });
+
+    Test.it("runs and reverts the migrations in order", async function() {
+        let sequelize = await CreateSequelize({
+            "001-a.js": MIGRATION_OK,
+            "002-b.js": MIGRATION_OK,
+            "003-c.js": MIGRATION_OK,
+            "README.md": "Not a migration."
+        });
+        let migrator = factory.createMigrator(sequelize);
+        Assert.deepStrictEqual(
+            await migrator.to("002-b"),
+            ["001-a.js", "002-b.js"]
+        );
+        Assert.deepStrictEqual(await migrator.pending(), ["003-c.js"]);
+        Assert.deepStrictEqual(await migrator.up(), ["003-c.js"]);
+        Assert.deepStrictEqual(await migrator.down(), ["003-c.js"]);
+        Assert.deepStrictEqual(await migrator.to(0), ["002-b.js", "001-a.js"]);
+        Assert.deepStrictEqual(await migrator.executed(), []);
+        Assert.strictEqual(sequelize.db.lock, null);
+
+        //  The transaction type is left to the dialect if not set.
+        sequelize.db.transactions.forEach(function(options) {
+            Assert.deepStrictEqual(options, {
+                "isolationLevel": "READ COMMITTED"
+            });
+        });
+    });
+
+    Test.it("rolls back the failed migration", async function() {
+        let sequelize = await CreateSequelize({
+            "001-a.js": MIGRATION_OK,
+            "002-b.js": MIGRATION_FAIL
+        });
+        let migrator = factory.createMigrator(sequelize);
+        await Assert.rejects(migrator.up(), function(error) {
+            Assert.ok(error instanceof SequelizeFactoryMigrationError);
+            Assert.strictEqual(error.migration, "002-b.js");
+            Assert.strictEqual(error.unlockError, null);
+            return true;
+        });
+        Assert.deepStrictEqual(await migrator.executed(), ["001-a.js"]);
+        Assert.strictEqual(sequelize.db.lock, null);
+
+        //  The error of releasing the lock doesn't hide the failure.
+        sequelize.db.unlockError = new Error("Connection lost.");
+        await Assert.rejects(migrator.up(), function(error) {
+            Assert.strictEqual(error.migration, "002-b.js");
+            Assert.ok(
+                error.unlockError instanceof SequelizeFactoryMigrationError
+            );
+            Assert.strictEqual(
+                error.unlockError.cause,
+                sequelize.db.unlockError
+            );
+            return true;
+        });
+    });
+
+    Test.it("waits for the lock held by others", async function() {
+        let sequelize = await CreateSequelize({
+            "001-a.js": MIGRATION_OK
+        }, {
+            "lock-wait": 200
+        });
+        let migrator = factory.createMigrator(sequelize);
+        sequelize.db.lock = {
+            "id": 1,
+            "owner": "other",
+            "acquired": Date.now()
+        };
+        await Assert.rejects(migrator.up(), function(error) {
+            Assert.ok(error instanceof SequelizeFactoryMigrationError);
+            Assert.ok(error.message.indexOf("\"other\"") >= 0);
+            return true;
+        });
+        Assert.deepStrictEqual(await migrator.executed(), []);
+
+        //  Released while waiting.
+        setTimeout(function() {
+            sequelize.db.lock = null;
+        }, 20);
+        Assert.deepStrictEqual(await migrator.up(), ["001-a.js"]);
+    });
+
+    Test.it("takes over the stale lock", async function() {
+        let sequelize = await CreateSequelize({
+            "001-a.js": MIGRATION_OK
+        }, {
+            "lock-stale": 1000
+        });
+        sequelize.db.lock = {
+            "id": 1,
+            "owner": "other",
+            "acquired": Date.now() - 1000
+        };
+        let migrator = factory.createMigrator(sequelize);
+        Assert.deepStrictEqual(await migrator.up(), ["001-a.js"]);
+        Assert.strictEqual(sequelize.db.lock, null);
+    });
+});
@@ -0,0 +1,170 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CrFactory = require("./../core/factory");
+const Sequelize = require("sequelize");
+const Test = require("node:test");
+
+//  Imported classes.
+const SequelizeFactory = CrFactory.SequelizeFactory;
+const SequelizeFactoryAccessDeniedError =
+    CrFactory.SequelizeFactoryAccessDeniedError;
+const SequelizeFactoryConfigurationError =
+    CrFactory.SequelizeFactoryConfigurationError;
+
+//
+//  Constants.
+//
+
+//  The registry used by the tests.
+const REGISTRY = {
+    "base": "mysql://app:secret@db/app?pool.max=3",
+    "databases": {
+        "billing": {
+            "database": "billing"
+        },
+        "catalog": {
+            "database": "catalog",
+            "pool": {
+                "max": 20
+            }
+        }
+    }
+};
+
+//
+//  Private functions.
+//
+
+/**
+ *  Wait for specific time.
+ * 
+ *  @param {Number} ms - The time, in milliseconds.
+ *  @return {Promise<void>} - The promise object (resolves when timed out).
+ */
+function Sleep(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+//
+//  Tests.
+//
+
+Test.describe("SequelizeFactory registry", function() {
+    let authenticate = Sequelize.prototype.authenticate;
+    let databases = [];
+    let failures = 0;
+    let factory = null;
+
+    Test.beforeEach(function() {
+        databases = [];
+        failures = 0;
+        factory = new SequelizeFactory(REGISTRY);
+        Sequelize.prototype.authenticate = async function() {
+            databases.push(this.config.database);
+            await Sleep(20);
+            if (failures > 0) {
+                --failures;
+                let error = new Error("Access denied.");
+                error.code = "ER_ACCESS_DENIED_ERROR";
+                throw new Sequelize.AccessDeniedError(error);
+            }
+        };
+    });
+
+    Test.afterEach(async function() {
+        Sequelize.prototype.authenticate = authenticate;
+        await factory.shutdown({"timeout": 100});
+    });
+
+    Test.it("lists the registered databases", function() {
+        Assert.deepStrictEqual(factory.names(), ["billing", "catalog"]);
+        Assert.strictEqual(factory.has("billing"), true);
+        Assert.strictEqual(factory.has("reports"), false);
+        Assert.deepStrictEqual(new SequelizeFactory().names(), []);
+    });
+
+    Test.it("merges the databases over the base", async function() {
+        let catalog = await factory.get("catalog");
+        let cfg = factory.getConfiguration(catalog);
+        Assert.strictEqual(cfg.getHost(), "db");
+        Assert.strictEqual(cfg.getUsername(), "app");
+        Assert.strictEqual(cfg.getDatabase(), "catalog");
+        Assert.strictEqual(cfg.getPoolConfiguration().getMax(), 20);
+        cfg = factory.getConfiguration(await factory.get("billing"));
+        Assert.strictEqual(cfg.getPoolConfiguration().getMax(), 3);
+    });
+
+    Test.it("shares one creation between concurrent calls", async function() {
+        let sequelizes = await Promise.all([
+            factory.get("billing"),
+            factory.get("billing"),
+            factory.get("catalog"),
+            factory.get("billing")
+        ]);
+        Assert.strictEqual(sequelizes[0], sequelizes[1]);
+        Assert.strictEqual(sequelizes[0], sequelizes[3]);
+        Assert.notStrictEqual(sequelizes[0], sequelizes[2]);
+        Assert.strictEqual(await factory.get("billing"), sequelizes[0]);
+        Assert.deepStrictEqual(databases.sort(), ["billing", "catalog"]);
+    });
+
+    Test.it("doesn't cache failed creations", async function() {
+        failures = 1;
+        let results = await Promise.allSettled([
+            factory.get("billing"),
+            factory.get("billing")
+        ]);
+        results.forEach(function(result) {
+            Assert.strictEqual(result.status, "rejected");
+            Assert.ok(
+                result.reason instanceof SequelizeFactoryAccessDeniedError
+            );
+        });
+        Assert.ok(await factory.get("billing") instanceof Sequelize);
+        Assert.deepStrictEqual(databases, ["billing", "billing"]);
+    });
+
+    Test.it("creates again after closed", async function() {
+        let creation = factory.get("billing");
+        await factory.closeAll();
+        let billing = await creation;
+        let again = await factory.get("billing");
+        Assert.notStrictEqual(again, billing);
+        Assert.deepStrictEqual(databases, ["billing", "billing"]);
+    });
+
+    Test.it("rejects unregistered databases", async function() {
+        await Assert.rejects(
+            factory.get("reports"),
+            SequelizeFactoryConfigurationError
+        );
+    });
+});
+
+Test.describe("new SequelizeFactory()", function() {
+    Test.it("rejects invalid registries", function() {
+        [
+            {"base": {}},
+            {"databases": "billing"},
+            {"databases": {"billing": null}},
+            {"databases": {}, "wait-for-authenticate": "yes"},
+            {"databases": {}, "options": null}
+        ].forEach(function(registry) {
+            Assert.throws(function() {
+                new SequelizeFactory(registry);
+            }, SequelizeFactoryConfigurationError, JSON.stringify(registry));
+        });
+    });
+});
@@ -0,0 +1,195 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CfgModel = require("./../configuration/model");
+const CrFactory = require("./../core/factory");
+const Sequelize = require("sequelize");
+const Test = require("node:test");
+
+//  Imported classes.
+const ModelConfiguration = CfgModel.ModelConfiguration;
+const ModelConfigurationError = CfgModel.ModelConfigurationError;
+const SequelizeFactory = CrFactory.SequelizeFactory;
+const SequelizeFactoryHostUnreachableError =
+    CrFactory.SequelizeFactoryHostUnreachableError;
+const SequelizeFactoryReplicationError =
+    CrFactory.SequelizeFactoryReplicationError;
+
+//
+//  Constants.
+//
+
+//  The raw configuration used by the tests.
+const CONFIGURATION = {
+    "host": "db",
+    "username": "app",
+    "password": "secret",
+    "database": "app",
+    "replication": {
+        "read": [
+            {
+                "host": "replica-1"
+            },
+            {
+                "host": "replica-2",
+                "port": 3307,
+                "password": "other"
+            }
+        ]
+    }
+};
+
+//
+//  Tests.
+//
+
+Test.describe("ModelReplicationConfiguration", function() {
+    Test.it("inherits the missing items", function() {
+        let cfg = ModelConfiguration.From(CONFIGURATION)
+                                    .getReplicationConfiguration();
+        Assert.deepStrictEqual(cfg.toObject(), {
+            "write": {
+                "host": "db",
+                "port": 3306,
+                "username": "app",
+                "password": "secret",
+                "database": "app"
+            },
+            "read": [
+                {
+                    "host": "replica-1",
+                    "port": 3306,
+                    "username": "app",
+                    "password": "secret",
+                    "database": "app"
+                },
+                {
+                    "host": "replica-2",
+                    "port": 3307,
+                    "username": "app",
+                    "password": "other",
+                    "database": "app"
+                }
+            ]
+        });
+        Assert.deepStrictEqual(cfg.toRaw(), {
+            "write": {},
+            "read": CONFIGURATION["replication"]["read"]
+        });
+        Assert.strictEqual(
+            ModelConfiguration.From({"host": "db"})
+                              .getReplicationConfiguration(),
+            null
+        );
+    });
+
+    Test.it("rejects invalid endpoints", function() {
+        [
+            [{"read": []}, "replication.read"],
+            [{"write": {}}, "replication.read"],
+            [{"read": [{"host": ""}]}, "replication.read[0].host"],
+            [
+                {"write": {"port": 0}, "read": [{}]},
+                "replication.write.port"
+            ]
+        ].forEach(function(item) {
+            Assert.throws(function() {
+                ModelConfiguration.From({
+                    "host": "db",
+                    "replication": item[0]
+                });
+            }, function(error) {
+                Assert.ok(error instanceof ModelConfigurationError);
+                Assert.strictEqual(error.path, item[1]);
+                return true;
+            }, item[1]);
+        });
+        Assert.throws(function() {
+            ModelConfiguration.From({
+                "dialect": "sqlite",
+                "storage": ":memory:",
+                "replication": {"read": [{}]}
+            });
+        }, ModelConfigurationError);
+    });
+});
+
+Test.describe("SequelizeFactory.create() replication", function() {
+    let authenticate = Sequelize.prototype.authenticate;
+    let endpoints = [];
+    let refused = new Set();
+    let factory = null;
+
+    Test.beforeEach(function() {
+        endpoints = [];
+        refused = new Set();
+        factory = new SequelizeFactory();
+        Sequelize.prototype.authenticate = async function() {
+            let config = this.config;
+            endpoints.push([
+                config.host,
+                config.port,
+                config.password,
+                config.pool.max,
+                this.options.replication
+            ]);
+            if (refused.has(config.host)) {
+                let error = new Error("Connection refused.");
+                error.code = "ECONNREFUSED";
+                throw new Sequelize.ConnectionRefusedError(error);
+            }
+        };
+    });
+
+    Test.afterEach(async function() {
+        Sequelize.prototype.authenticate = authenticate;
+        await factory.shutdown({"timeout": 100});
+    });
+
+    Test.it("authenticates every endpoint", async function() {
+        let sequelize = await factory.create(CONFIGURATION);
+        Assert.deepStrictEqual(endpoints.sort(), [
+            ["db", 3306, "secret", 1, false],
+            ["replica-1", 3306, "secret", 1, false],
+            ["replica-2", 3307, "other", 1, false]
+        ]);
+        Assert.strictEqual(
+            sequelize.options.replication.read[1].host,
+            "replica-2"
+        );
+    });
+
+    Test.it("reports the failed endpoints", async function() {
+        refused.add("replica-2");
+        await Assert.rejects(factory.create(Object.assign({
+            "authenticate": {
+                "attempts": 2,
+                "delay": 1
+            }
+        }, CONFIGURATION)), function(error) {
+            Assert.ok(error instanceof SequelizeFactoryReplicationError);
+            Assert.match(error.message, /read\[1\] \(replica-2:3307\)/);
+            Assert.strictEqual(error.failures.length, 1);
+            let failure = error.failures[0];
+            Assert.strictEqual(failure.role, "read");
+            Assert.strictEqual(failure.index, 1);
+            Assert.strictEqual(failure.host, "replica-2");
+            Assert.strictEqual(failure.port, 3307);
+            Assert.ok(
+                failure.error instanceof SequelizeFactoryHostUnreachableError
+            );
+            Assert.strictEqual(error.cause, failure.error);
+            Assert.strictEqual(error.attempts.length, 2);
+            return true;
+        });
+    });
+});
@@ -0,0 +1,182 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CfgModel = require("./../configuration/model");
+const CrFactory = require("./../core/factory");
+const Sequelize = require("sequelize");
+const Test = require("node:test");
+
+//  Imported classes.
+const ModelConfiguration = CfgModel.ModelConfiguration;
+const ModelConfigurationError = CfgModel.ModelConfigurationError;
+const SequelizeFactory = CrFactory.SequelizeFactory;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Load a retry configuration.
+ * 
+ *  @param {Object} retry - The raw retry configuration.
+ *  @return {ModelRetryConfiguration} - The configuration.
+ */
+function LoadRetry(retry) {
+    return ModelConfiguration.From({
+        "host": "db",
+        "retry": retry
+    }).getRetryConfiguration();
+}
+
+/**
+ *  Create a driver error wrapped like Sequelize does.
+ * 
+ *  @param {String} code - The error code.
+ *  @return {Error} - The error.
+ */
+function CreateError(code) {
+    let error = new Error("Driver error.");
+    error.code = code;
+    return new Sequelize.DatabaseError(error);
+}
+
+/**
+ *  Get whether an error matches any matcher.
+ * 
+ *  @param {Array<RegExp|Function>} matchers - The matchers.
+ *  @param {Error} error - The error.
+ *  @return {Boolean} - True if so.
+ */
+function IsMatched(matchers, error) {
+    return matchers.some(function(matcher) {
+        if (matcher instanceof RegExp) {
+            return matcher.test(error.toString());
+        }
+        return matcher(error);
+    });
+}
+
+//
+//  Tests.
+//
+
+Test.describe("ModelRetryConfiguration", function() {
+    Test.it("uses the match list of the dialect", function() {
+        let cfg = LoadRetry({});
+        Assert.deepStrictEqual(cfg.getMatch(), []);
+        Assert.ok(cfg.getMatchOfDialect("mysql").includes(
+            "PROTOCOL_CONNECTION_LOST"
+        ));
+        Assert.deepStrictEqual(cfg.getMatchOfDialect("sqlite"), [
+            "SQLITE_BUSY"
+        ]);
+        Assert.deepStrictEqual(cfg.getMatchOfDialect(null), []);
+
+        let matchers = cfg.toObject("mysql")["match"];
+        Assert.ok(IsMatched(matchers, CreateError("ECONNRESET")));
+        Assert.ok(IsMatched(matchers, new Sequelize.ConnectionError(
+            new Error("Lost.")
+        )));
+        Assert.ok(!IsMatched(matchers, CreateError("ER_DUP_ENTRY")));
+    });
+
+    Test.it("lets the match lists be replaced", function() {
+        let cfg = LoadRetry({
+            "dialect-match": {
+                "postgres": ["57P01"]
+            }
+        });
+        Assert.deepStrictEqual(cfg.getMatchOfDialect("postgres"), ["57P01"]);
+        Assert.ok(cfg.getMatchOfDialect("mysql").length > 1);
+
+        cfg = LoadRetry({
+            "match": ["ER_LOCK_DEADLOCK", "/lock wait/i"]
+        });
+        Assert.deepStrictEqual(
+            cfg.getMatchOfDialect("mysql"),
+            ["ER_LOCK_DEADLOCK", "/lock wait/i"]
+        );
+        let matchers = cfg.toObject("mysql")["match"];
+        Assert.ok(matchers[1] instanceof RegExp);
+        Assert.strictEqual(matchers[1].flags, "i");
+        Assert.ok(IsMatched(matchers, CreateError("ER_LOCK_DEADLOCK")));
+        Assert.ok(IsMatched(matchers, new Error("Lock wait timeout.")));
+        Assert.ok(!IsMatched(matchers, CreateError("ECONNRESET")));
+    });
+
+    Test.it("builds the retry options", function() {
+        let options = LoadRetry({
+            "max": 2,
+            "backoff-base": 50,
+            "backoff-exponent": 2
+        }).toObject();
+        Assert.strictEqual(options["max"], 2);
+        Assert.strictEqual(options["backoffBase"], 50);
+        Assert.strictEqual(options["backoffExponent"], 2);
+        Assert.ok(!("timeout" in options));
+        Assert.strictEqual(
+            LoadRetry({"timeout": 70000}).toObject()["timeout"],
+            70000
+        );
+    });
+
+    Test.it("rejects invalid items", function() {
+        [
+            [{"match": [""]}, "retry.match"],
+            [{"match": ["/(/"]}, "retry.match"],
+            [{"backoff-base": -1}, "retry.backoff-base"],
+            [{"backoff-exponent": 0}, "retry.backoff-exponent"],
+            [{"timeout": 1000}, "retry.timeout"],
+            [{"dialect-match": {"mysql": "ECONNRESET"}}, "retry.dialect-match"]
+        ].forEach(function(item) {
+            Assert.throws(function() {
+                LoadRetry(item[0]);
+            }, function(error) {
+                Assert.ok(error instanceof ModelConfigurationError);
+                Assert.ok(error.path.startsWith(item[1]), error.path);
+                return true;
+            }, item[1]);
+        });
+    });
+});
+
+Test.describe("SequelizeFactory.create() retry", function() {
+    Test.it("retries the matched errors only", async function() {
+        let factory = new SequelizeFactory();
+        try {
+            let sequelize = await factory.create({
+                "host": "db",
+                "retry": {
+                    "max": 3,
+                    "backoff-base": 0
+                }
+            }, false);
+            let calls = 0;
+            let code = null;
+            sequelize.connectionManager.getConnection = async function() {
+                ++calls;
+                throw CreateError(code);
+            };
+
+            code = "ECONNRESET";
+            await Assert.rejects(sequelize.query("SELECT 1"));
+            Assert.strictEqual(calls, 3);
+
+            calls = 0;
+            code = "ER_DUP_ENTRY";
+            await Assert.rejects(sequelize.query("SELECT 1"));
+            Assert.strictEqual(calls, 1);
+        } finally {
+            await factory.shutdown({"timeout": 100});
+        }
+    });
+});
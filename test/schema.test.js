@@ -0,0 +1,244 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CfgModel = require("./../configuration/model");
+const CfgValidation = require("./../configuration/validation");
+const Test = require("node:test");
+
+//  Imported classes.
+const ModelConfiguration = CfgModel.ModelConfiguration;
+const ModelConfigurationError = CfgModel.ModelConfigurationError;
+
+//  Imported constants.
+const SEMANTIC_RANGES = CfgValidation.SEMANTIC_RANGES;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Get the value schema of an item (without the secret file reference
+ *  alternative).
+ * 
+ *  @param {Object} item - The item schema.
+ *  @return {Object} - The value schema.
+ */
+function GetValueSchema(item) {
+    return ("anyOf" in item ? item["anyOf"][0] : item);
+}
+
+/**
+ *  Get the schema of an item by its path.
+ * 
+ *  @param {Object} schema - The JSON Schema.
+ *  @param {String} path - The item path (like "pool.max").
+ *  @return {Object} - The item schema.
+ */
+function GetItemSchema(schema, path) {
+    let rst = schema;
+    path.split(".").forEach(function(key) {
+        rst = rst["properties"][key];
+        Assert.ok(rst !== undefined, path);
+    });
+    return rst;
+}
+
+/**
+ *  Call a function for each item (not a section) of a schema.
+ * 
+ *  @param {Object} schema
+ *      - The section schema.
+ *  @param {function(Object, String[])} fn
+ *      - The function, called with the item schema and the item path.
+ *  @param {String[]} [path]
+ *      - The path of the section.
+ */
+function ForEachItem(schema, fn, path = []) {
+    for (let key in schema["properties"]) {
+        let item = schema["properties"][key];
+        let value = GetValueSchema(item);
+        if ("properties" in value && value["type"] != "null") {
+            ForEachItem(value, fn, path.concat([key]));
+        } else {
+            fn(item, path.concat([key]));
+        }
+    }
+}
+
+/**
+ *  Build a raw configuration that sets one item.
+ * 
+ *  @param {String[]} path - The item path.
+ *  @param {*} value - The value.
+ *  @return {Object} - The raw configuration.
+ */
+function BuildRaw(path, value) {
+    let rst = {"host": "db"};
+    let node = rst;
+    path.slice(0, -1).forEach(function(key) {
+        node = node[key] = Object.assign({}, node[key]);
+    });
+    node[path[path.length - 1]] = value;
+    return rst;
+}
+
+/**
+ *  Load a raw configuration and get the paths of its problems.
+ * 
+ *  @param {Object} raw - The raw configuration.
+ *  @return {String[]} - The paths (empty if loaded).
+ */
+function LoadProblems(raw) {
+    try {
+        ModelConfiguration.From(raw);
+    } catch (error) {
+        Assert.ok(error instanceof ModelConfigurationError);
+        return (error.errors || [{"path": error.path}]).map(function(problem) {
+            return problem["path"];
+        });
+    }
+    return [];
+}
+
+//
+//  Tests.
+//
+
+Test.describe("ModelConfiguration.GetJSONSchema()", function() {
+    let schema = ModelConfiguration.GetJSONSchema();
+
+    Test.it("gives the defaults that the loader uses", function() {
+        let defaults = ModelConfiguration.Default().toRaw();
+        ForEachItem(schema, function(item, path) {
+            let name = path.join(".");
+            if (name == "port") {
+                //  The port defaults to the one of the dialect.
+                Assert.ok(!("default" in item));
+                return;
+            }
+            if (name == "url" || name.startsWith("replication.")) {
+                return;
+            }
+            let expected = defaults;
+            path.forEach(function(key) {
+                expected = expected[key];
+            });
+            if (typeof(expected) == "function") {
+                expected = null;
+            }
+            Assert.deepStrictEqual(item["default"], expected, name);
+        });
+    });
+
+    Test.it("gives the ranges of the semantic validation", function() {
+        for (let name in SEMANTIC_RANGES) {
+            let range = SEMANTIC_RANGES[name];
+            let value = GetValueSchema(GetItemSchema(schema, name));
+            let path = name.split(".");
+            Assert.strictEqual(value["minimum"], range["minimum"], name);
+            Assert.strictEqual(value["maximum"], range["maximum"], name);
+
+            //  The loader accepts the bounds and rejects the values out of
+            //  range.
+            Assert.deepStrictEqual(
+                LoadProblems(BuildRaw(path, range["minimum"])),
+                [],
+                name
+            );
+            Assert.ok(LoadProblems(
+                BuildRaw(path, range["minimum"] - 1)
+            ).includes(name), name);
+            if ("maximum" in range) {
+                Assert.deepStrictEqual(
+                    LoadProblems(BuildRaw(path, range["maximum"])),
+                    [],
+                    name
+                );
+                Assert.ok(LoadProblems(
+                    BuildRaw(path, range["maximum"] + 1)
+                ).includes(name), name);
+            }
+        }
+
+        //  The ports of the replication endpoints have the same range.
+        let port = GetValueSchema(
+            GetItemSchema(schema, "replication.write.port")
+        );
+        Assert.strictEqual(port["minimum"], SEMANTIC_RANGES["port"]["minimum"]);
+        Assert.strictEqual(port["maximum"], SEMANTIC_RANGES["port"]["maximum"]);
+        Assert.ok(LoadProblems({
+            "host": "db",
+            "replication": {
+                "write": {
+                    "port": SEMANTIC_RANGES["port"]["maximum"] + 1
+                },
+                "read": [
+                    {"host": "r1"}
+                ]
+            }
+        }).includes("replication.write.port"));
+    });
+
+    Test.it("gives the types and the selections of the loader", function() {
+        ForEachItem(schema, function(item, path) {
+            let name = path.join(".");
+            let value = GetValueSchema(item);
+            let types = [].concat(value["type"]);
+            if (name.startsWith("replication.")) {
+                //  Endpoints are checked with the replication section.
+                return;
+            }
+            if (types.includes("null")) {
+                Assert.deepStrictEqual(
+                    LoadProblems(BuildRaw(path, null)),
+                    [],
+                    name
+                );
+            } else {
+                Assert.notDeepStrictEqual(
+                    LoadProblems(BuildRaw(path, null)),
+                    [],
+                    name
+                );
+            }
+            if ("enum" in value) {
+                Assert.notDeepStrictEqual(
+                    LoadProblems(BuildRaw(path, "(not an option)")),
+                    [],
+                    name
+                );
+            }
+            if (types.includes("integer")) {
+                Assert.notDeepStrictEqual(
+                    LoadProblems(BuildRaw(path, 1.5)),
+                    [],
+                    name
+                );
+            }
+        });
+    });
+
+    Test.it("rejects unknown keys in strict mode like the loader", function() {
+        let strict = ModelConfiguration.GetJSONSchema(true);
+        Assert.strictEqual(strict["additionalProperties"], false);
+        Assert.strictEqual(
+            GetValueSchema(GetItemSchema(strict, "pool"))[
+                "additionalProperties"
+            ],
+            false
+        );
+        Assert.throws(function() {
+            ModelConfiguration.From({"pool": {"maximum": 1}}, true);
+        }, ModelConfigurationError);
+        ModelConfiguration.From({"pool": {"maximum": 1}});
+    });
+});
@@ -0,0 +1,200 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CrFactory = require("./../core/factory");
+const Test = require("node:test");
+
+//  Imported classes.
+const SequelizeFactory = CrFactory.SequelizeFactory;
+const SequelizeFactoryConfigurationError =
+    CrFactory.SequelizeFactoryConfigurationError;
+const SequelizeFactoryShutdownError = CrFactory.SequelizeFactoryShutdownError;
+
+//
+//  Constants.
+//
+
+//  The signal used by the tests (emitted, never raised).
+const SIGNAL = "SIGUSR2";
+
+//
+//  Private functions.
+//
+
+/**
+ *  Wait for specific time.
+ * 
+ *  @param {Number} ms - The time, in milliseconds.
+ *  @return {Promise<void>} - The promise object (resolves when timed out).
+ */
+function Sleep(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+/**
+ *  Create a sequelize object (without connecting) whose pool and close()
+ *  are replaced.
+ * 
+ *  @param {SequelizeFactory} factory
+ *      - The factory.
+ *  @param {{size: Number, using: Number}} pool
+ *      - The pool counters.
+ *  @param {?Number} closeTime
+ *      - The time, in milliseconds, that close() takes (NULL if it never
+ *        completes).
+ *  @return {Promise<Sequelize>}
+ *      - The promise object (resolves the sequelize object).
+ */
+async function CreateSequelize(factory, pool, closeTime) {
+    let sequelize = await factory.create({"host": "db"}, false);
+    sequelize.connectionManager.pool = pool;
+    sequelize.close = function() {
+        if (closeTime === null) {
+            return new Promise(function() {});
+        }
+        return Sleep(closeTime);
+    };
+    return sequelize;
+}
+
+/**
+ *  Create a logger target that records the records.
+ * 
+ *  @return {{info: Function, warn: Function, records: Array}}
+ *      - The logger target.
+ */
+function CreateLogger() {
+    let records = [];
+    return {
+        "info": function(record) {
+            records.push(["info", record]);
+        },
+        "warn": function(record) {
+            records.push(["warn", record]);
+        },
+        "records": records
+    };
+}
+
+//
+//  Tests.
+//
+
+Test.describe("SequelizeFactory.shutdown()", function() {
+    Test.it("counts the connections closed in time", async function() {
+        let factory = new SequelizeFactory();
+        await CreateSequelize(factory, {"size": 2, "using": 0}, 10);
+        await CreateSequelize(factory, {"size": 1, "using": 0}, 0);
+        let shutdown = factory.shutdown({"timeout": 1000});
+        Assert.strictEqual(factory.shutdown(), shutdown);
+        Assert.deepStrictEqual(await shutdown, {
+            "instances": 2,
+            "clean": 3,
+            "forced": 0
+        });
+        await Assert.rejects(
+            factory.create({"host": "db"}, false),
+            SequelizeFactoryShutdownError
+        );
+    });
+
+    Test.it("stops waiting when timed out", async function() {
+        let factory = new SequelizeFactory();
+        await CreateSequelize(factory, {"size": 3, "using": 1}, null);
+        let start = Date.now();
+        Assert.deepStrictEqual(await factory.shutdown({"timeout": 50}), {
+            "instances": 1,
+            "clean": 2,
+            "forced": 1
+        });
+        Assert.ok(Date.now() - start < 1000);
+    });
+
+    Test.it("rejects invalid options", async function() {
+        let factory = new SequelizeFactory();
+        await Assert.rejects(
+            factory.shutdown({"timeout": -1}),
+            SequelizeFactoryConfigurationError
+        );
+    });
+});
+
+Test.describe("SequelizeFactory.installSignalHandlers()", function() {
+    Test.it("shuts down and logs once", async function() {
+        let factory = new SequelizeFactory();
+        await CreateSequelize(factory, {"size": 2, "using": 1}, null);
+        let logger = CreateLogger();
+        let listeners = process.listenerCount(SIGNAL);
+        let uninstall = factory.installSignalHandlers({
+            "timeout": 50,
+            "signals": [SIGNAL],
+            "exit": false,
+            "logger": logger
+        });
+        Assert.strictEqual(process.listenerCount(SIGNAL), listeners + 1);
+
+        process.emit(SIGNAL, SIGNAL);
+        await factory.shutdown();
+        await Sleep(10);
+        process.emit(SIGNAL, SIGNAL);
+        await Sleep(10);
+        Assert.deepStrictEqual(logger.records, [["warn", {
+            "message": "Shutdown completed.",
+            "signal": SIGNAL,
+            "instances": 1,
+            "clean": 1,
+            "forced": 1
+        }]]);
+
+        uninstall();
+        Assert.strictEqual(process.listenerCount(SIGNAL), listeners);
+    });
+
+    Test.it("logs nothing by default", async function() {
+        let factory = new SequelizeFactory();
+        await CreateSequelize(factory, {"size": 1, "using": 0}, 0);
+        let logger = CreateLogger();
+        let info = console.info;
+        let warn = console.warn;
+        console.info = logger.info;
+        console.warn = logger.warn;
+        let uninstall = factory.installSignalHandlers({
+            "signals": [SIGNAL],
+            "exit": false
+        });
+        try {
+            process.emit(SIGNAL, SIGNAL);
+            await factory.shutdown();
+            await Sleep(10);
+        } finally {
+            console.info = info;
+            console.warn = warn;
+            uninstall();
+        }
+        Assert.deepStrictEqual(logger.records, []);
+    });
+
+    Test.it("rejects invalid options", function() {
+        let factory = new SequelizeFactory();
+        [
+            {"signals": []},
+            {"exit": "yes"},
+            {"logger": {"info": function() {}}}
+        ].forEach(function(options) {
+            Assert.throws(function() {
+                factory.installSignalHandlers(options);
+            }, SequelizeFactoryConfigurationError);
+        });
+    });
+});
@@ -0,0 +1,211 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CrFactory = require("./../core/factory");
+const FS = require("fs");
+const OS = require("os");
+const Path = require("path");
+const Sequelize = require("sequelize");
+const Test = require("node:test");
+
+//  Imported classes.
+const SequelizeFactory = CrFactory.SequelizeFactory;
+const SequelizeFactoryConfigurationError =
+    CrFactory.SequelizeFactoryConfigurationError;
+const SequelizeFactoryModelError = CrFactory.SequelizeFactoryModelError;
+const SequelizeFactorySyncError = CrFactory.SequelizeFactorySyncError;
+
+//
+//  Constants.
+//
+
+//  The environment variable prefix used by the tests.
+const PREFIX = "SEQUELIZE_FACTORY_TEST_";
+
+//
+//  Private functions.
+//
+
+/**
+ *  Define the "User" model.
+ * 
+ *  @param {Sequelize} sequelize - The sequelize object.
+ *  @param {Object} DataTypes - The data types.
+ *  @return {Model} - The model.
+ */
+function DefineUser(sequelize, DataTypes) {
+    let User = sequelize.define("User", {
+        "name": DataTypes.STRING
+    });
+    User.associate = function(models) {
+        User.hasMany(models.Order);
+    };
+    return User;
+}
+
+/**
+ *  Define the "Order" model.
+ * 
+ *  @param {Sequelize} sequelize - The sequelize object.
+ *  @param {Object} DataTypes - The data types.
+ *  @return {Model} - The model.
+ */
+function DefineOrder(sequelize, DataTypes) {
+    return sequelize.define("Order", {
+        "amount": DataTypes.INTEGER
+    });
+}
+
+//
+//  Tests.
+//
+
+Test.describe("SequelizeFactory.create() models and sync", function() {
+    let directory = FS.mkdtempSync(Path.join(OS.tmpdir(), "models-"));
+    let sync = Sequelize.prototype.sync;
+    let synced = [];
+    let factory = null;
+
+    Test.beforeEach(function() {
+        synced = [];
+        factory = new SequelizeFactory();
+        Sequelize.prototype.sync = async function(options) {
+            synced.push(options);
+            if (this.models.Broken) {
+                throw new Error("Table broken.");
+            }
+            return this;
+        };
+    });
+
+    Test.afterEach(async function() {
+        Sequelize.prototype.sync = sync;
+        delete process.env[PREFIX + "ALLOW_SYNC_FORCE"];
+        await factory.shutdown({"timeout": 100});
+    });
+
+    Test.after(function() {
+        FS.rmSync(directory, {"recursive": true, "force": true});
+    });
+
+    Test.it("defines and associates the models", async function() {
+        let sequelize = await factory.create({"host": "db"}, false, {
+            "models": [DefineUser, DefineOrder]
+        });
+        Assert.deepStrictEqual(
+            Object.keys(sequelize.models).sort(),
+            ["Order", "User"]
+        );
+        Assert.ok("Orders" in sequelize.models.User.associations);
+        Assert.deepStrictEqual(synced, []);
+    });
+
+    Test.it("loads the models from a directory", async function() {
+        FS.writeFileSync(
+            Path.join(directory, "user.js"),
+            "module.exports = function(sequelize, DataTypes) {\n" +
+            "    return sequelize.define(\"User\", {});\n" +
+            "};\n"
+        );
+        FS.writeFileSync(Path.join(directory, "README.md"), "# Models\n");
+        FS.writeFileSync(Path.join(directory, ".hidden.js"), "throw 1;\n");
+        let sequelize = await factory.create({"host": "db"}, false, {
+            "models": directory
+        });
+        Assert.deepStrictEqual(Object.keys(sequelize.models), ["User"]);
+
+        await Assert.rejects(factory.create({"host": "db"}, false, {
+            "models": Path.join(directory, "none")
+        }), SequelizeFactoryModelError);
+        await Assert.rejects(factory.create({"host": "db"}, false, {
+            "models": [DefineUser, "order"]
+        }), function(error) {
+            Assert.ok(error instanceof SequelizeFactoryModelError);
+            Assert.match(error.message, /models\[1\]/);
+            return true;
+        });
+    });
+
+    Test.it("syncs the models", async function() {
+        await factory.create({
+            "host": "db",
+            "sync": {
+                "enabled": true,
+                "alter": true
+            }
+        }, false, {
+            "models": [DefineOrder]
+        });
+        Assert.deepStrictEqual(synced, [{"force": false, "alter": true}]);
+
+        await Assert.rejects(factory.create({
+            "host": "db",
+            "sync": {
+                "enabled": true
+            }
+        }, false, {
+            "models": [function(sequelize) {
+                return sequelize.define("Broken", {});
+            }]
+        }), function(error) {
+            Assert.ok(error instanceof SequelizeFactorySyncError);
+            Assert.strictEqual(error.cause.message, "Table broken.");
+            return true;
+        });
+    });
+
+    Test.it("refuses \"sync.force\" unless allowed", async function() {
+        let cfg = {
+            "host": "db",
+            "sync": {
+                "enabled": true,
+                "force": true
+            }
+        };
+        let options = {
+            "environment-prefix": PREFIX
+        };
+        for (let value of [null, "0", "no", "on"]) {
+            if (value !== null) {
+                process.env[PREFIX + "ALLOW_SYNC_FORCE"] = value;
+            }
+            await Assert.rejects(
+                factory.create(cfg, false, options),
+                function(error) {
+                    Assert.ok(
+                        error instanceof SequelizeFactoryConfigurationError
+                    );
+                    Assert.strictEqual(error.path, "sync.force");
+                    Assert.ok(error.message.includes(
+                        PREFIX + "ALLOW_SYNC_FORCE"
+                    ));
+                    return true;
+                },
+                String(value)
+            );
+        }
+        Assert.deepStrictEqual(synced, []);
+
+        for (let value of ["1", "TRUE", "yes"]) {
+            process.env[PREFIX + "ALLOW_SYNC_FORCE"] = value;
+            await factory.create(cfg, false, options);
+        }
+        Assert.strictEqual(synced.length, 3);
+        Assert.strictEqual(synced[0]["force"], true);
+
+        //  The guard of another prefix doesn't allow it.
+        await Assert.rejects(
+            factory.create(cfg, false),
+            SequelizeFactoryConfigurationError
+        );
+    });
+});
@@ -0,0 +1,132 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CrFactory = require("./../core/factory");
+const Test = require("node:test");
+
+//  Imported classes.
+const SequelizeFactory = CrFactory.SequelizeFactory;
+const SequelizeFactoryConfigurationError =
+    CrFactory.SequelizeFactoryConfigurationError;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Wait for specific time.
+ * 
+ *  @param {Number} ms - The time, in milliseconds.
+ *  @return {Promise<void>} - The promise object (resolves when timed out).
+ */
+function Sleep(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+//
+//  Tests.
+//
+
+Test.describe("SequelizeTenantManager", function() {
+    let factory = new SequelizeFactory();
+    let resolved = [];
+
+    /**
+     *  Create a tenant manager (sequelize objects are created without
+     *  connecting).
+     * 
+     *  @param {Number} max - The maximum count of cached sequelize objects.
+     *  @param {Number} idleTTL - The idle time limit, in milliseconds.
+     *  @return {SequelizeTenantManager} - The tenant manager.
+     */
+    function CreateManager(max, idleTTL) {
+        return factory.createTenantManager({
+            "host": "db",
+            "pool": {
+                "max": 3
+            }
+        }, async function(tenant) {
+            resolved.push(tenant);
+            await Sleep(10);
+            if (tenant == "unknown") {
+                return {"pool": {"max": "x"}};
+            }
+            return {"database": "tenant_" + tenant};
+        }, {
+            "max": max,
+            "idle-ttl": idleTTL,
+            "wait-for-authenticate": false
+        });
+    }
+
+    Test.beforeEach(function() {
+        resolved = [];
+    });
+
+    Test.after(async function() {
+        await factory.shutdown({"timeout": 100});
+    });
+
+    Test.it("creates one sequelize object per stampede", async function() {
+        let manager = CreateManager(2, 0);
+        let all = await Promise.all([1, 2, 3, 4, 5, 6, 7, 8].map(function() {
+            return manager.get("a");
+        }));
+        all.forEach(function(sequelize) {
+            Assert.strictEqual(sequelize, all[0]);
+        });
+        Assert.deepStrictEqual(resolved, ["a"]);
+
+        let cfg = factory.getConfiguration(all[0]);
+        Assert.strictEqual(cfg.getDatabase(), "tenant_a");
+        Assert.strictEqual(cfg.getPoolConfiguration().getMax(), 3);
+        Assert.strictEqual(await manager.get("a"), all[0]);
+        Assert.deepStrictEqual(resolved, ["a"]);
+        await manager.closeAll();
+    });
+
+    Test.it("evicts the least recently used tenant", async function() {
+        let manager = CreateManager(2, 0);
+        await manager.get("a");
+        await manager.get(7);
+        await manager.get("a");
+        Assert.deepStrictEqual(manager.tenants(), ["7", "a"]);
+
+        await manager.get("b");
+        Assert.deepStrictEqual(manager.tenants(), ["a", "b"]);
+        Assert.ok(!manager.has(7));
+
+        //  Tenants whose configuration is invalid don't evict others.
+        await Assert.rejects(
+            manager.get("unknown"),
+            SequelizeFactoryConfigurationError
+        );
+        Assert.deepStrictEqual(manager.tenants(), ["a", "b"]);
+        await manager.closeAll();
+        Assert.deepStrictEqual(manager.tenants(), []);
+    });
+
+    Test.it("evicts the idle tenants", async function() {
+        let manager = CreateManager(10, 200);
+        await manager.get("a");
+        await Sleep(100);
+        await manager.get("b");
+        Assert.deepStrictEqual(manager.tenants(), ["a", "b"]);
+
+        await Sleep(150);
+        Assert.deepStrictEqual(manager.tenants(), ["b"]);
+        await Sleep(200);
+        Assert.deepStrictEqual(manager.tenants(), []);
+    });
+});
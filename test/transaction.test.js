@@ -0,0 +1,385 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CfgModel = require("./../configuration/model");
+const CrFactory = require("./../core/factory");
+const CrTransaction = require("./../core/transaction");
+const Sequelize = require("sequelize");
+const Test = require("node:test");
+
+//  Imported classes.
+const ModelConfiguration = CfgModel.ModelConfiguration;
+const ModelConfigurationError = CfgModel.ModelConfigurationError;
+const SequelizeFactory = CrFactory.SequelizeFactory;
+const SequelizeFactoryConfigurationError =
+    CrFactory.SequelizeFactoryConfigurationError;
+const SequelizeFactoryTransactionError =
+    CrFactory.SequelizeFactoryTransactionError;
+const SequelizeTransactionManager = CrTransaction.SequelizeTransactionManager;
+
+//  Imported functions.
+const InstallTransactionDefaults = CrTransaction.InstallTransactionDefaults;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Load a transaction configuration.
+ * 
+ *  @param {String} dialect - The dialect.
+ *  @param {Object} transaction - The raw transaction configuration.
+ *  @return {ModelTransactionConfiguration} - The configuration.
+ */
+function LoadTransaction(dialect, transaction) {
+    return ModelConfiguration.From({
+        "dialect": dialect,
+        "host": "db",
+        "database": "app",
+        "transaction": transaction
+    }).getTransactionConfiguration();
+}
+
+/**
+ *  Create a fake sequelize object that records the transactions and the
+ *  queries.
+ * 
+ *  @param {?String} failure - The query that fails (NULL if none).
+ *  @return {Object} - The fake object (the records are in "calls").
+ */
+function CreateSequelize(failure) {
+    let calls = [];
+    return {
+        "calls": calls,
+        "transaction": function(options, autoCallback) {
+            let t = {
+                "id": calls.length,
+                "rollback": async function() {
+                    calls.push(["rollback", t.id]);
+                }
+            };
+            calls.push(["transaction", options]);
+            if (typeof(autoCallback) == "function") {
+                return Promise.resolve(t).then(autoCallback);
+            }
+            return Promise.resolve(t);
+        },
+        "query": async function(sql, options) {
+            calls.push(["query", sql, options.transaction.id]);
+            if (sql === failure) {
+                throw new Error("Query failed.");
+            }
+            return [];
+        }
+    };
+}
+
+/**
+ *  Create a fake sequelize object whose transactions run the callback (and
+ *  fail if it fails).
+ * 
+ *  @return {Object} - The fake object (the options of the transactions are
+ *                     in "calls").
+ */
+function CreateManagedSequelize() {
+    let calls = [];
+    return {
+        "calls": calls,
+        "transaction": async function(options, autoCallback) {
+            let t = {
+                "id": calls.length
+            };
+            calls.push(options);
+            return await autoCallback(t);
+        }
+    };
+}
+
+/**
+ *  Create a deadlock error (like Sequelize raises).
+ * 
+ *  @return {Error} - The error.
+ */
+function CreateDeadlockError() {
+    let error = new Error("Deadlock found.");
+    error.parent = {"code": "ER_LOCK_DEADLOCK"};
+    return error;
+}
+
+//
+//  Tests.
+//
+
+Test.describe("ModelTransactionConfiguration", function() {
+    Test.it("builds the transaction options", function() {
+        let ISOLATION_LEVELS = Sequelize.Transaction.ISOLATION_LEVELS;
+        Assert.deepStrictEqual(
+            LoadTransaction("mysql", {}).toTransactionOptions(),
+            {"isolationLevel": ISOLATION_LEVELS.READ_COMMITTED}
+        );
+        Assert.deepStrictEqual(LoadTransaction("sqlite", {
+            "type": "IMMEDIATE",
+            "isolation-level": "SERIALIZABLE"
+        }).toTransactionOptions(), {
+            "isolationLevel": ISOLATION_LEVELS.SERIALIZABLE,
+            "type": Sequelize.Transaction.TYPES.IMMEDIATE
+        });
+        Assert.deepStrictEqual(LoadTransaction("postgres", {
+            "deferrable": "SET_DEFERRED"
+        }).toTransactionOptions(), {
+            "isolationLevel": ISOLATION_LEVELS.READ_COMMITTED,
+            "deferrable": Sequelize.Deferrable.SET_DEFERRED
+        });
+        let options = LoadTransaction("sqlite", {
+            "type": "EXCLUSIVE"
+        }).toObject();
+        Assert.strictEqual(options["transactionType"], "EXCLUSIVE");
+    });
+
+    Test.it("rejects invalid items", function() {
+        [
+            {"type": "FAST"},
+            {"isolation-level": "SNAPSHOT"},
+            {"deferrable": "NOT"},
+            {"lock-timeout": -1},
+            {"autocommit": false}
+        ].forEach(function(transaction) {
+            Assert.throws(function() {
+                ModelConfiguration.From({
+                    "dialect": "sqlite",
+                    "transaction": transaction
+                }, true);
+            }, ModelConfigurationError, JSON.stringify(transaction));
+        });
+    });
+});
+
+Test.describe("InstallTransactionDefaults()", function() {
+    Test.it("applies the default options", async function() {
+        let sequelize = CreateSequelize(null);
+        InstallTransactionDefaults(sequelize, "sqlite", LoadTransaction(
+            "sqlite",
+            {"type": "DEFERRED", "lock-timeout": 0}
+        ));
+        await sequelize.transaction(async function() {});
+        await sequelize.transaction({"type": "EXCLUSIVE"});
+        Assert.deepStrictEqual(sequelize.calls.map(function(call) {
+            return call[1]["type"];
+        }), ["DEFERRED", "EXCLUSIVE"]);
+    });
+
+    Test.it("sets the lock timeout", async function() {
+        for (let item of [
+            ["mysql", "SET SESSION innodb_lock_wait_timeout = 2"],
+            ["postgres", "SET LOCAL lock_timeout = 1500"],
+            ["mssql", "SET LOCK_TIMEOUT 1500"]
+        ]) {
+            let sequelize = CreateSequelize(null);
+            InstallTransactionDefaults(sequelize, item[0], LoadTransaction(
+                item[0],
+                {"lock-timeout": 1500}
+            ));
+            let t = await sequelize.transaction(async function(t) {
+                //  Nested transactions don't set it again.
+                await sequelize.transaction({"transaction": t});
+                return t;
+            });
+            Assert.deepStrictEqual(sequelize.calls.slice(1), [
+                ["query", item[1], t.id],
+                ["transaction", {
+                    "isolationLevel": (
+                        Sequelize.Transaction.ISOLATION_LEVELS.READ_COMMITTED
+                    ),
+                    "transaction": t
+                }]
+            ], item[0]);
+        }
+    });
+
+    Test.it("rolls back if the lock timeout can't be set", async function() {
+        let query = "SET LOCK_TIMEOUT 100";
+        let sequelize = CreateSequelize(query);
+        InstallTransactionDefaults(sequelize, "mssql", LoadTransaction(
+            "mssql",
+            {"lock-timeout": 100}
+        ));
+        await Assert.rejects(sequelize.transaction(), /Query failed/);
+        Assert.deepStrictEqual(sequelize.calls.slice(1), [
+            ["query", query, 0],
+            ["rollback", 0]
+        ]);
+    });
+});
+
+Test.describe("SequelizeTransactionManager", function() {
+    let READ_COMMITTED = Sequelize.Transaction.ISOLATION_LEVELS.READ_COMMITTED;
+    let SERIALIZABLE = Sequelize.Transaction.ISOLATION_LEVELS.SERIALIZABLE;
+
+    /**
+     *  Create a transaction manager.
+     * 
+     *  @param {Object} sequelize - The fake sequelize object.
+     *  @param {Object} [transaction] - The raw transaction configuration.
+     *  @return {SequelizeTransactionManager} - The transaction manager.
+     */
+    function CreateManager(sequelize, transaction = {}) {
+        return new SequelizeTransactionManager(
+            sequelize,
+            LoadTransaction("mysql", Object.assign({
+                "retry-backoff": 10,
+                "retry-backoff-max": 15
+            }, transaction))
+        );
+    }
+
+    Test.it("retries the deadlocks with backoff", async function() {
+        let sequelize = CreateManagedSequelize();
+        let manager = CreateManager(sequelize);
+        let start = Date.now();
+        let rst = await manager.withTransaction(async function(t) {
+            if (t.id < 2) {
+                throw CreateDeadlockError();
+            }
+            return "done";
+        });
+        Assert.strictEqual(rst, "done");
+        Assert.ok(Date.now() - start >= 25);
+        Assert.deepStrictEqual(sequelize.calls, [
+            {"isolationLevel": READ_COMMITTED},
+            {"isolationLevel": READ_COMMITTED},
+            {"isolationLevel": READ_COMMITTED}
+        ]);
+    });
+
+    Test.it("gives up after all attempts", async function() {
+        let sequelize = CreateManagedSequelize();
+        let manager = CreateManager(sequelize, {"retry-max": 1});
+        await Assert.rejects(manager.withTransaction(async function() {
+            throw CreateDeadlockError();
+        }), function(error) {
+            Assert.ok(error instanceof SequelizeFactoryTransactionError);
+            Assert.strictEqual(error.attempts, 2);
+            Assert.strictEqual(error.cause.message, "Deadlock found.");
+            return true;
+        });
+
+        //  Errors that are not retryable are raised as is.
+        let failure = new Error("Duplicate entry.");
+        await Assert.rejects(manager.withTransaction(async function() {
+            throw failure;
+        }, {
+            "isolation-level": "SERIALIZABLE",
+            "retry-codes": ["40001"]
+        }), function(error) {
+            return error === failure;
+        });
+        Assert.strictEqual(sequelize.calls.length, 3);
+        Assert.deepStrictEqual(sequelize.calls[2], {
+            "isolationLevel": SERIALIZABLE
+        });
+    });
+
+    Test.it("runs nested transactions in savepoints", async function() {
+        let sequelize = CreateManagedSequelize();
+        let manager = CreateManager(sequelize);
+        let nested = 0;
+        await manager.withTransaction(async function(t) {
+            await Assert.rejects(manager.withTransaction(async function() {
+                ++nested;
+                throw CreateDeadlockError();
+            }, {
+                "transaction": t
+            }), /Deadlock found/);
+        });
+        Assert.strictEqual(nested, 1);
+        Assert.deepStrictEqual(sequelize.calls, [
+            {"isolationLevel": READ_COMMITTED},
+            {"transaction": {"id": 0}}
+        ]);
+    });
+
+    Test.it("calls the after-commit hooks", async function() {
+        let sequelize = CreateManagedSequelize();
+        let manager = CreateManager(sequelize);
+        let called = [];
+        await manager.withTransaction(async function(t) {
+            manager.afterCommit(t, function(committed) {
+                called.push(["outer", committed.id, t.id]);
+            });
+            if (t.id == 0) {
+                //  Dropped with the failed attempt.
+                throw CreateDeadlockError();
+            }
+            await manager.withTransaction(async function(savepoint) {
+                manager.afterCommit(savepoint, async function(committed) {
+                    called.push(["savepoint", committed.id]);
+                });
+            }, {
+                "transaction": t
+            });
+            await Assert.rejects(manager.withTransaction(async function(sp) {
+                manager.afterCommit(sp, function() {
+                    called.push(["rolled back"]);
+                });
+                throw new Error("Rolled back.");
+            }, {
+                "transaction": t
+            }));
+            Assert.deepStrictEqual(called, []);
+        });
+        Assert.deepStrictEqual(called, [
+            ["outer", 1, 1],
+            ["savepoint", 1]
+        ]);
+    });
+
+    Test.it("rejects invalid arguments", async function() {
+        let manager = CreateManager(CreateManagedSequelize());
+        Assert.throws(function() {
+            manager.afterCommit({}, function() {});
+        }, SequelizeFactoryTransactionError);
+        await manager.withTransaction(async function(t) {
+            Assert.throws(function() {
+                manager.afterCommit(t, null);
+            }, SequelizeFactoryTransactionError);
+        });
+        for (let item of [
+            [null, {}],
+            [async function() {}, {"isolation-level": "SNAPSHOT"}],
+            [async function() {}, {"retry-max": -1}],
+            [async function() {}, {"retry-codes": [1]}],
+            [async function() {}, {"transaction": {}}]
+        ]) {
+            await Assert.rejects(
+                manager.withTransaction(item[0], item[1]),
+                SequelizeFactoryTransactionError,
+                JSON.stringify(item[1])
+            );
+        }
+    });
+
+    Test.it("is created by SequelizeFactory", async function() {
+        let factory = new SequelizeFactory();
+        try {
+            let sequelize = await factory.create({"host": "db"}, false);
+            Assert.ok(
+                factory.createTransactionManager(sequelize) instanceof
+                SequelizeTransactionManager
+            );
+            Assert.throws(function() {
+                factory.createTransactionManager(CreateManagedSequelize());
+            }, SequelizeFactoryConfigurationError);
+        } finally {
+            await factory.shutdown({"timeout": 100});
+        }
+    });
+});
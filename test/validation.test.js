@@ -0,0 +1,120 @@
+//
+//  Copyright 2019 - 2021 The XOrange Studio. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const CfgModel = require("./../configuration/model");
+const Test = require("node:test");
+
+//  Imported classes.
+const ModelConfiguration = CfgModel.ModelConfiguration;
+const ModelConfigurationError = CfgModel.ModelConfigurationError;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Load a raw configuration that is expected to be invalid.
+ * 
+ *  @param {Object} raw - The raw configuration.
+ *  @return {String[]} - The paths of the problems.
+ */
+function LoadProblems(raw) {
+    try {
+        ModelConfiguration.From(raw);
+    } catch (error) {
+        Assert.ok(error instanceof ModelConfigurationError);
+        Assert.ok(Array.isArray(error.errors));
+        return error.errors.map(function(problem) {
+            return problem["path"];
+        });
+    }
+    throw new Error("The configuration was loaded.");
+}
+
+//
+//  Tests.
+//
+
+Test.describe("ValidateModelConfiguration", function() {
+    Test.it("collects the problems of the whole configuration", function() {
+        Assert.deepStrictEqual(LoadProblems({
+            "host": "",
+            "port": 0,
+            "pool": {
+                "min": 9,
+                "max": 1
+            }
+        }), ["host", "port", "pool.min"]);
+    });
+
+    Test.it("reports dialect problems with the semantic ones", function() {
+        Assert.deepStrictEqual(LoadProblems({
+            "dialect": "postgres",
+            "host": " ",
+            "port": 70000
+        }), ["database", "host", "port"]);
+    });
+
+    Test.it("checks the replication endpoints", function() {
+        Assert.deepStrictEqual(LoadProblems({
+            "host": "db",
+            "replication": {
+                "write": {
+                    "host": "",
+                    "port": 0
+                },
+                "read": [
+                    {"host": "r1"},
+                    {"host": "r2", "port": 65536}
+                ]
+            }
+        }), [
+            "replication.write.host",
+            "replication.write.port",
+            "replication.read[1].port"
+        ]);
+    });
+
+    Test.it("rejects items that the dialect doesn't support", function() {
+        Assert.deepStrictEqual(LoadProblems({
+            "dialect": "sqlite",
+            "dialect-options": {
+                "charset": "utf8mb4"
+            },
+            "transaction": {
+                "lock-timeout": 1000
+            }
+        }), ["dialect-options.charset", "transaction.lock-timeout"]);
+        Assert.deepStrictEqual(LoadProblems({
+            "host": "db",
+            "transaction": {
+                "type": "IMMEDIATE"
+            }
+        }), ["transaction.type"]);
+    });
+
+    Test.it("accepts the defaults of every dialect", function() {
+        ModelConfiguration.From({"host": "db"});
+        ModelConfiguration.From({"dialect": "sqlite"});
+        ModelConfiguration.From({
+            "dialect": "sqlite",
+            "transaction": {
+                "type": "EXCLUSIVE"
+            }
+        });
+        ModelConfiguration.From({
+            "dialect": "postgres",
+            "host": "db",
+            "database": "app"
+        });
+    });
+});